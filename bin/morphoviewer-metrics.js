@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+/**
+ * Computes the metrics of every mesh file in a directory, and writes them as CSV, one row per specimen.
+ *
+ *     node bin/morphoviewer-metrics.js [options] <directory>
+ *
+ * See usage below for the options. Files which can't be read are reported on stderr and get a row with the error,
+ * and the exit status is then 1.
+ * */
+var fs = require( "fs" );
+var path = require( "path" );
+var morphoviewer = require( "../src/node.js" );
+
+var usage = [
+    "usage: node bin/morphoviewer-metrics.js [options] <directory>",
+    "",
+    "options:",
+    "  --cutoff <value>   the lower limit of patch size counted in the OPC, as in",
+    "                     Viewer.setPatchCutoff (default 0.3)",
+    "  --min-faces <n>    count the OPC over the faces, leaving out the patches of",
+    "                     fewer than n triangles, instead of using --cutoff",
+    "  --bins <count>     the number of orientations (default 8)",
+    "  --percentile <p>   leave the triangles whose energy times area is above the",
+    "                     percentile out of the DNE (default 99.9)",
+    "  --exclude-boundary leave the triangles on the boundary out of the DNE",
+    "  --output <file>    write the CSV to a file instead of stdout",
+    "  --recursive        include the files in subdirectories",
+    "  --help             show this message"
+].join( "\n" );
+
+//the mesh formats, and the compressed files which may contain them
+var meshFile = /\.(ply|stl|obj|off|wrl|gltf|glb|gz|zip)$/i;
+
+var columns = [ "file", "vertices", "triangles", "area", "dne", "rfi", "opc", "opcr", "error" ];
+
+function fail( message ) {
+    process.stderr.write( message + "\n\n" + usage + "\n" );
+    process.exit( 2 );
+}
+
+/**
+ * @param {Array} argv the command line arguments, without the node executable and the script
+ * @returns {Object} the options, with the directory field
+ * */
+function parseArguments( argv ) {
+    var options = {
+        patchCutoff: 0.3,
+        minFaces: undefined,
+        orientationBins: 8,
+        dne: { percentile: 99.9, excludeBoundary: false },
+        output: null,
+        recursive: false,
+        directory: null
+    };
+    var number = function( name, value ) {
+        var parsed = Number( value );
+        if ( value === undefined || value === "" || isNaN( parsed ) ) {
+            fail( name + " needs a number" );
+        }
+        return parsed;
+    };
+    for ( var i = 0; i < argv.length; i++ ) {
+        var arg = argv[i];
+        if ( arg === "--cutoff" ) {
+            options.patchCutoff = number( arg, argv[++i] );
+        } else if ( arg === "--min-faces" ) {
+            options.minFaces = number( arg, argv[++i] );
+            if ( options.minFaces < 1 || options.minFaces % 1 !== 0 ) {
+                fail( "--min-faces needs a whole number of at least 1" );
+            }
+        } else if ( arg === "--bins" ) {
+            options.orientationBins = number( arg, argv[++i] );
+            if ( options.orientationBins < 2 || options.orientationBins % 1 !== 0 ) {
+                fail( "--bins needs a whole number of at least 2" );
+            }
+        } else if ( arg === "--percentile" ) {
+            options.dne.percentile = number( arg, argv[++i] );
+        } else if ( arg === "--exclude-boundary" ) {
+            options.dne.excludeBoundary = true;
+        } else if ( arg === "--output" ) {
+            options.output = argv[++i];
+            if ( options.output === undefined ) {
+                fail( "--output needs a file name" );
+            }
+        } else if ( arg === "--recursive" ) {
+            options.recursive = true;
+        } else if ( arg === "--help" ) {
+            process.stdout.write( usage + "\n" );
+            process.exit( 0 );
+        } else if ( arg.charAt( 0 ) === "-" ) {
+            fail( "unknown option " + arg );
+        } else if ( options.directory === null ) {
+            options.directory = arg;
+        } else {
+            fail( "only one directory can be given" );
+        }
+    }
+    if ( options.directory === null ) {
+        fail( "no directory given" );
+    }
+    return options;
+}
+
+/**
+ * @returns {Array} the paths of the mesh files in the directory, relative to it, in sorted order
+ * */
+function listMeshFiles( directory, recursive, prefix ) {
+    var files = [];
+    fs.readdirSync( path.join( directory, prefix ) ).sort().forEach( function( name ) {
+        var relative = path.join( prefix, name );
+        var stats = fs.statSync( path.join( directory, relative ) );
+        if ( stats.isDirectory() ) {
+            if ( recursive ) {
+                files = files.concat( listMeshFiles( directory, recursive, relative ) );
+            }
+        } else if ( meshFile.test( name ) ) {
+            files.push( relative );
+        }
+    } );
+    return files;
+}
+
+/**
+ * @returns {Object} the metrics of the specimen, as returned by meshMetrics
+ * @throws {LoadError} if the file can't be read
+ * */
+function measure( filename, options ) {
+    var buffer = morphoviewer.io.decompress( new Uint8Array( fs.readFileSync( filename ) ) );
+    var type = morphoviewer.io.getFileType( buffer );
+    if ( type === "unrecognized" ) {
+        throw new morphoviewer.io.LoadError( "format", "unrecognized file format", { format: type } );
+    }
+    var data = morphoviewer.buildMeshData( buffer, type );
+    return morphoviewer.meshMetrics( data.meshCache, options );
+}
+
+function csvField( value ) {
+    var text = String( value );
+    if ( /[",\r\n]/.test( text ) ) {
+        return "\"" + text.replace( /"/g, "\"\"" ) + "\"";
+    }
+    return text;
+}
+
+function main() {
+    var options = parseArguments( process.argv.slice( 2 ) );
+    var files;
+    try {
+        files = listMeshFiles( options.directory, options.recursive, "" );
+    } catch ( err ) {
+        fail( "could not read the directory " + options.directory + ": " + err.message );
+    }
+
+    var lines = [ columns.join( "," ) ];
+    var failures = 0;
+    files.forEach( function( file, i ) {
+        process.stderr.write( "[" + ( i + 1 ) + "/" + files.length + "] " + file + "\n" );
+        var row = { file: file, error: "" };
+        try {
+            var metrics = measure( path.join( options.directory, file ), options );
+            for ( var key in metrics ) {
+                row[key] = metrics[key];
+            }
+        } catch ( err ) {
+            row.error = err.message || String( err );
+            failures++;
+            process.stderr.write( "  " + row.error + "\n" );
+        }
+        lines.push( columns.map( function( column ) {
+            return csvField( row[column] !== undefined ? row[column] : "" );
+        } ).join( "," ) );
+    } );
+
+    var csv = lines.join( "\n" ) + "\n";
+    if ( options.output !== null ) {
+        fs.writeFileSync( options.output, csv );
+    } else {
+        process.stdout.write( csv );
+    }
+    //exiting right away could cut off the output written to a pipe
+    process.exitCode = failures > 0 ? 1 : 0;
+}
+
+main();
@@ -4,7 +4,7 @@ var concat = require('gulp-concat');
 
 var config = {
     // include all js files, but exclude any min.js files
-    src: [ 'libs/**/*.js', 'src/graphics.js', 'src/file_io.js', 'src/mesh_tools.js', 'src/trackball.js', 'src/geometry.js', 'src/morphoviewer.js' ]
+    src: [ 'libs/**/*.js', 'src/graphics.js', 'src/inflate.js', 'src/file_io.js', 'src/mesh_tools.js', 'src/loader.js', 'src/trackball.js', 'src/geometry.js', 'src/morphoviewer.js' ]
 }
 
 gulp.task( 'release', function() {
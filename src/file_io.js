@@ -7,24 +7,139 @@ var morphoviewer = ( function( module ) {
 
     module.io = {};
 
-    module.io.loadFile = function( file, onload ) {
+    /**
+     * @class The error given when loading a file fails.
+     * @name LoadError
+     *
+     * @param {String} reason what went wrong: "http" (the server responded with an error status), "network" (the
+     * request didn't complete), "read" (a Blob or File couldn't be read), "format" (the file format wasn't
+     * recognized), "decompress" (compressed data was corrupt), or "parse" (the file couldn't be parsed)
+     * @param {String} message a description of the error
+     * @param {Object} details optional, extra fields for the error, such as the HTTP status
+     * */
+    module.io.LoadError = function( reason, message, details ) {
+        this.name = "LoadError";
+        this.reason = reason;
+        this.message = message;
+        this.stack = ( new Error( message ) ).stack;
+        for ( var key in details ) {
+            if ( details.hasOwnProperty( key ) ) {
+                this[key] = details[key];
+            }
+        }
+    };
+    module.io.LoadError.prototype = Object.create( Error.prototype );
+    module.io.LoadError.prototype.constructor = module.io.LoadError;
+
+    /**
+     * @class The error thrown by the parsers when a file is malformed. It is a LoadError with the reason "parse".
+     * @name ParseError
+     *
+     * @param {String} format the format of the file being parsed, e.g. "ply"
+     * @param {String} message a description of what is wrong with the file
+     * @param {Number} offset the byte offset in the file where the problem is, or null if not known
+     * @param {Number} line the line number (starting from one) where the problem is, or null for binary data
+     * */
+    module.io.ParseError = function( format, message, offset, line ) {
+        module.io.LoadError.call( this, "parse", message, { format: format, offset: offset, line: line } );
+        this.name = "ParseError";
+    };
+    module.io.ParseError.prototype = Object.create( module.io.LoadError.prototype );
+    module.io.ParseError.prototype.constructor = module.io.ParseError;
+
+    module.io.ParseError.prototype.toString = function() {
+        var location = [];
+        if ( this.line != null ) {
+            location.push( "line " + this.line );
+        }
+        if ( this.offset != null ) {
+            location.push( "byte " + this.offset );
+        }
+        var format = this.format ? this.format.toUpperCase() + " " : "";
+        return this.name + ": " + format + ( location.length ? "(" + location.join( ", " ) + ") " : "" ) + this.message;
+    };
+
+    /**
+     * @class The error thrown when writing a mesh into a file fails. It shares the fields of LoadError, and is an
+     * instance of it, so that a single handler can catch the errors of reading and writing alike.
+     * @name SaveError
+     *
+     * @param {String} reason what went wrong: "format" (the file format isn't one that can be written), or "data"
+     * (the mesh has nothing to write)
+     * @param {String} message a description of the error
+     * @param {Object} details optional, extra fields for the error, such as the format
+     * */
+    module.io.SaveError = function( reason, message, details ) {
+        module.io.LoadError.call( this, reason, message, details );
+        this.name = "SaveError";
+    };
+    module.io.SaveError.prototype = Object.create( module.io.LoadError.prototype );
+    module.io.SaveError.prototype.constructor = module.io.SaveError;
+
+    /**
+     * @brief Fetch a file asynchronously.
+     * @param {String} file the URL of the file
+     * @param {Function} onload called with the contents of the file, as an ArrayBuffer
+     * @param {Function} onerror optional, called with a LoadError if the request fails
+     * */
+    module.io.loadFile = function( file, onload, onerror ) {
         var request = new XMLHttpRequest();
         request.open( "GET", file, true );	//gets performed asynchronously
         request.responseType = "arraybuffer";
-        request.onload = function ( e ) { onload( e.target.response ); };
+        request.onload = function ( e ) {
+            // local files give status 0
+            var status = e.target.status;
+            if ( ( status >= 200 && status < 300 ) || ( status === 0 && e.target.response ) ) {
+                onload( e.target.response );
+            } else if ( onerror ) {
+                onerror( new module.io.LoadError(
+                    "http",
+                    "io.loadFile: request for " + file + " failed with status " + status,
+                    { status: status }
+                ) );
+            }
+        };
+        request.onerror = function () {
+            if ( onerror ) {
+                onerror( new module.io.LoadError( "network", "io.loadFile: request for " + file + " failed" ) );
+            }
+        };
         request.send();
     };
 
+    /**
+     * @returns {Boolean} true if the data begins with the GLB magic, or with a brace after any whitespace or
+     * byte order mark
+     * */
+    function isGLTF( data ) {
+        if ( data.length >= 4 && data[0] === 0x67 && data[1] === 0x6c && data[2] === 0x54 && data[3] === 0x46 ) {
+            return true;
+        }
+        for ( var i = 0; i < data.length; i++ ) {
+            var c = data[i];
+            if ( c !== 0x20 && c !== 0x09 && c !== 0x0a && c !== 0x0d && c !== 0xef && c !== 0xbb && c !== 0xbf ) {
+                return c === 0x7b;
+            }
+        }
+        return false;
+    }
+
     /**
      * @brief Get the file type string of a block of uint8 data.
      * @param data {Uint8Array} the block of data to analyze
-     * @returns {String} the type string. Valid types are "stl", "obj", "ply", "csv".
+     * @returns {String} the type string. Valid types are "stl", "obj", "ply", "off", "wrl", "gltf", "csv".
      * */
     module.io.getFileType = function( data ) {
+        // binary glTF begins with the magic "glTF", and the JSON variant is the only format beginning with a brace.
+        // Check them from the raw bytes, since a .gltf file can be a single very long line.
+        if ( isGLTF( data ) ) {
+            return "gltf";
+        }
+
         //check first for STL binary
-        BufferView( data );
+        var reader = new BufferView( data );
         // get the first line
-        var line = BufferView.readLine();
+        var line = reader.readLine();
         var tokens = line.trim().split(/\s+/);
 
         //first handle case 'stl'
@@ -33,46 +148,70 @@ var morphoviewer = ( function( module ) {
             // '^solid (name)$'
             return "stl";
         }
-        BufferView.seek( 80 );
-        BufferView.isLittleEndian(true);
-        var tris = BufferView.getUint32();
-        BufferView.isLittleEndian(false);
-        BufferView.seek(0);
-        if ( BufferView.size() == 84 + tris*50 ) {
-            return "stl";
+        if ( reader.size() >= 84 ) {
+            reader.seek( 80 );
+            reader.isLittleEndian(true);
+            var tris = reader.getUint32();
+            if ( reader.size() == 84 + tris*50 ) {
+                return "stl";
+            }
         }
 
         if ( tokens[0] === "ply" ) {
             return "ply";
         }
 
-        // get three lines
-        // this is a retarded way to check for CSV
-        var line1 = BufferView.readLine();
-        var line2 = BufferView.readLine();
-        var line3 = BufferView.readLine();
-        var tokens1 = line1.trim().split(',');
-        var tokens2 = line2.trim().split(',');
-        var tokens3 = line3.trim().split(',');
-        if ( tokens1.length == tokens2.length  &&
-            tokens2.length == tokens3.length &&
-            tokens3.length == 3 ) {
+        if ( tokens[0] === "#VRML" ) {
+            return "wrl";
+        }
+
+        if ( offHeader.test( tokens[0] ) ) {
+            return "off";
+        }
+
+        // the STL check moved the view, so start reading the text from the beginning again
+        reader.seek( 0 );
+        if ( isOBJ( reader ) ) {
+            return "obj";
+        }
+
+        // point clouds have lines of numbers, perhaps after a header row
+        if ( sniffCSV( sampleCSVLines( data ) ) !== null ) {
             return "csv";
         }
 
         return "unrecognized";
     };
 
-    function loadFile( file, onload ) {
-        var request = new XMLHttpRequest();
-        request.open( "GET", file, true );	//gets performed asynchronously
-        request.responseType = "arraybuffer";
-        request.onload = function ( e ) { onload( e.target.response ); };
-        request.send();
+    var objKeywords = [ "v", "vn", "vt", "vp", "f", "l", "o", "g", "s", "mtllib", "usemtl" ];
+
+    /**
+     * Checks whether the first statement of the buffer, after any comments and blank lines,
+     * is a Wavefront OBJ keyword.
+     *
+     * @param {Object} reader a BufferView object
+     * @returns {Boolean} true, if the data looks like an OBJ file
+     * */
+    function isOBJ( reader ) {
+        // don't scan arbitrarily far into a file which doesn't start like an OBJ file
+        for ( var i = 0; i < 100 && reader.tell() < reader.end(); i++ ) {
+            var tokens = reader.readLine().trim().split(/\s+/);
+            if ( tokens[0] === "" || tokens[0].charAt(0) === "#" ) {
+                continue;
+            }
+            return objKeywords.indexOf( tokens[0] ) !== -1;
+        }
+        return false;
     }
 
     /**
-     * @class A static wrapper for a jDataView.
+     * @class A reader over a block of data, wrapping a jDataView. Each parser creates its own instance, so several
+     * buffers can be parsed at the same time.
+     * @name BufferView
+     *
+     * @param {Uint8Array} buffer the data to be read
+     * @param {Number} offset the byte offset to start reading from, 0 by default
+     * @param {Boolean} littleEndian the endianness of binary data, false (big endian) by default
      * */
     function BufferView( buffer, offset, littleEndian ) {
         if ( typeof(littleEndian) === "undefined" ) {
@@ -81,74 +220,154 @@ var morphoviewer = ( function( module ) {
         if ( typeof(offset) === "undefined" ) {
             offset = 0;
         }
-        arguments.callee.bytes = buffer.length;
-        arguments.callee.buffer = buffer;
-        arguments.callee.view = jDataView( buffer, offset, buffer.length - offset, littleEndian );
+        this.bytes = buffer.length;
+        this.buffer = buffer;
+        this.littleEndian = littleEndian;
+        this.view = jDataView( buffer, 0, buffer.length, littleEndian );
+        this.view.seek( offset );
+        //the format being parsed, and whether the data is text, for reporting errors
+        this.format = null;
+        this.text = true;
+        //the offset of the beginning of the last line or token read
+        this.lineOffset = 0;
+        this.tokenOffset = 0;
+        //an optional function( bytesRead, bytesTotal ), see BufferView.progress
+        this.onprogress = null;
+        this.lastProgress = 0;
     }
 
-    BufferView.size = function() { return BufferView.bytes; };
+    //the number of bytes to read between progress reports
+    var progressInterval = 1 << 20;
+
+    /**
+     * Parsers call this regularly. If the reader has an onprogress function, it is called every time another
+     * progressInterval bytes have been read, and once the end of the data is reached.
+     * */
+    BufferView.prototype.progress = function() {
+        if ( this.onprogress === null ) {
+            return;
+        }
+        var position = this.tell();
+        if ( position - this.lastProgress >= progressInterval || ( position >= this.bytes && this.lastProgress < this.bytes ) ) {
+            this.lastProgress = position;
+            this.onprogress( position, this.bytes );
+        }
+    };
+
+    BufferView.prototype.size = function() { return this.bytes; };
+
+    /**
+     * @param {Number} offset a byte offset
+     * @returns {Number} the number of the line containing the offset, starting from one
+     * */
+    BufferView.prototype.lineAt = function( offset ) {
+        var line = 1;
+        for ( var i = 0; i < offset && i < this.bytes; i++ ) {
+            if ( this.buffer[i] === 10 ) {
+                line++;
+            }
+        }
+        return line;
+    };
+
+    /**
+     * Create a ParseError for the data being read. For text data, the line number is included.
+     *
+     * @param {String} message what went wrong
+     * @param {Number} offset optional, the offset of the problem, or null if it has none. The current position
+     * by default.
+     * @returns {Object} the ParseError object, to be thrown
+     * */
+    BufferView.prototype.error = function( message, offset ) {
+        if ( typeof(offset) === "undefined" ) {
+            offset = this.tell();
+        }
+        return new module.io.ParseError(
+            this.format, message, offset, this.text && offset !== null ? this.lineAt( offset ) : null
+        );
+    };
+
+    /**
+     * Throws a ParseError if there are less than the given number of bytes left to read.
+     * */
+    BufferView.prototype.ensure = function( bytes ) {
+        if ( this.tell() + bytes > this.bytes ) {
+            throw this.error( "unexpected end of file, expected " + bytes + " more bytes" );
+        }
+    };
 
     /**
      * If reading binary data, set the correct endianness.*/
-    BufferView.isLittleEndian = function( littleEndian ) {
-        var offset = BufferView.view.tell();
-        var length = BufferView.buffer.length;
-        BufferView.view = jDataView( BufferView.buffer, offset, length - offset, littleEndian );
+    BufferView.prototype.isLittleEndian = function( littleEndian ) {
+        this.littleEndian = littleEndian;
     };
 
-    BufferView.seek = function( byteOffset ) { BufferView.view.seek( byteOffset ) };
+    BufferView.prototype.seek = function( byteOffset ) { this.view.seek( byteOffset ); };
 
-    BufferView.tell = function() { return BufferView.view.tell(); };
+    BufferView.prototype.tell = function() { return this.view.tell(); };
 
-    BufferView.end = function() { return BufferView.buffer.length; };
+    BufferView.prototype.end = function() { return this.buffer.length; };
 
-    BufferView.getChar = function() {
-        return BufferView.view.getChar();
+    BufferView.prototype.getChar = function() {
+        this.ensure( 1 );
+        return this.view.getChar();
     };
 
-    BufferView.getInt8 = function() {
-        return BufferView.view.getInt8();
+    BufferView.prototype.getInt8 = function() {
+        this.ensure( 1 );
+        return this.view.getInt8();
     };
 
-    BufferView.getUint8 = function() {
-        return BufferView.view.getUint8();
+    BufferView.prototype.getUint8 = function() {
+        this.ensure( 1 );
+        return this.view.getUint8();
     };
 
-    BufferView.getInt16 = function() {
-        return BufferView.view.getInt16();
+    BufferView.prototype.getInt16 = function() {
+        this.ensure( 2 );
+        return this.view.getInt16( undefined, this.littleEndian );
     };
 
-    BufferView.getUint16 = function() {
-        return BufferView.view.getUint16();
+    BufferView.prototype.getUint16 = function() {
+        this.ensure( 2 );
+        return this.view.getUint16( undefined, this.littleEndian );
     };
 
-    BufferView.getInt32 = function() {
-        return BufferView.view.getInt32();
+    BufferView.prototype.getInt32 = function() {
+        this.ensure( 4 );
+        return this.view.getInt32( undefined, this.littleEndian );
     };
 
-    BufferView.getUint32 = function() {
-        return BufferView.view.getUint32();
+    BufferView.prototype.getUint32 = function() {
+        this.ensure( 4 );
+        return this.view.getUint32( undefined, this.littleEndian );
     };
 
-    BufferView.getFloat32 = function() {
-        return BufferView.view.getFloat32();
+    BufferView.prototype.getFloat32 = function() {
+        this.ensure( 4 );
+        return this.view.getFloat32( undefined, this.littleEndian );
     };
 
-    BufferView.getFloat64 = function() {
-        return BufferView.view.getFloat64();
+    BufferView.prototype.getFloat64 = function() {
+        this.ensure( 8 );
+        return this.view.getFloat64( undefined, this.littleEndian );
     };
 
     /**
      * @returns {String} the line, without the newline character*/
-    BufferView.readLine = function() {
+    BufferView.prototype.readLine = function() {
         var res = "";
-        var ch = BufferView.getChar();
-        while ( ch != '\n' ) {
-            res = res.concat( ch );
-            ch = BufferView.getChar();
-            while ( ch == '\t' || ch == '' ) {
-                ch = BufferView.getChar();
+        this.lineOffset = this.tell();
+        while ( this.tell() < this.end() ) {
+            var ch = this.getChar();
+            if ( ch == '\n' ) {
+                break;
             }
+            // drop carriage returns, so that Windows line endings don't end up in the line
+            if ( ch == '\r' ) {
+                continue;
+            }
+            res = res.concat( ch == '\t' ? ' ' : ch );
         }
         return res;
     };
@@ -156,10 +375,10 @@ var morphoviewer = ( function( module ) {
     /**
      * Peek at the next char in the buffer
      * */
-    BufferView.peekChar = function() {
-        var pos = BufferView.view.tell();
-        var c = BufferView.view.getChar();
-        BufferView.view.seek( pos );
+    BufferView.prototype.peekChar = function() {
+        var pos = this.view.tell();
+        var c = this.view.getChar();
+        this.view.seek( pos );
         return c;
     };
 
@@ -167,55 +386,144 @@ var morphoviewer = ( function( module ) {
      * This function is meant for reading one word at a time, without spaces or newlines.
      *
      * @returns {String} a string representing single word on the line*/
-    BufferView.readToken = function() {
-        if ( BufferView.view.tell() >= BufferView.buffer.length ) {
-            console.log("BufferView.readToken: position: " + BufferView.view.tell() + ", length: " + BufferView.buffer.length );
-            throw "BufferView.readToken: current position out of file bounds";
-        }
+    BufferView.prototype.readToken = function() {
         var res = [];
         var ch;
         //eat the newlines and spaces away
-        while ( true ) {
-            ch = BufferView.peekChar();
-            if ( ch == '\n' || ch == ' ') {
-                BufferView.getChar();
+        while ( this.view.tell() < this.buffer.length ) {
+            ch = this.peekChar();
+            if ( ch == '\n' || ch == ' ' || ch == '\r' || ch == '\t' ) {
+                this.getChar();
             } else {
                 break;
             }
         }
-        while ( true ) {
-            ch = BufferView.peekChar();
-            if ( ch == '\n' || ch == ' ' ) {
+        if ( this.view.tell() >= this.buffer.length ) {
+            throw this.error( "unexpected end of file, expected more data" );
+        }
+        this.tokenOffset = this.tell();
+        while ( this.view.tell() < this.buffer.length ) {
+            ch = this.peekChar();
+            if ( ch == '\n' || ch == ' ' || ch == '\r' || ch == '\t' ) {
                 break;
             } else {
-                res.push( BufferView.getChar() );
+                res.push( this.getChar() );
             }
         }
         return res.join("");
     };
 
-    BufferView.peekToken = function() {
-        var pos = BufferView.view.tell();
-        var token = BufferView.readToken();
-        BufferView.view.seek( pos );
+    BufferView.prototype.peekToken = function() {
+        var pos = this.view.tell();
+        var token = this.readToken();
+        this.view.seek( pos );
         return token;
     };
 
+    /**
+     * Parses the given number of numbers following the keyword on a line of a text file, throwing a ParseError
+     * located at the beginning of the line if there are too few of them, or if they aren't numbers.
+     *
+     * @param {Object} reader the BufferView object the line was read from
+     * @param {Array} tokens the tokens of the line, the first of which is the keyword
+     * @param {Number} count the number of numbers expected after the keyword
+     * @param {String} what the name of the thing on the line, for the error message
+     * @returns {Array} the numbers following the keyword
+     * */
+    function parseNumbers( reader, tokens, count, what ) {
+        if ( tokens.length - 1 < count ) {
+            throw reader.error( "expected " + count + " numbers for the " + what + ", got " + ( tokens.length - 1 ),
+                reader.lineOffset );
+        }
+        var numbers = [];
+        for ( var i = 1; i <= count; i++ ) {
+            var value = parseFloat( tokens[i] );
+            if ( isNaN( value ) ) {
+                throw reader.error( "expected a number for the " + what + ", got '" + tokens[i] + "'", reader.lineOffset );
+            }
+            numbers.push( value );
+        }
+        return numbers;
+    }
+
+    module.BufferView = BufferView;
+
+    /**
+     * @class A typed array which grows as values are pushed to it, for the parsers which don't know the number of
+     * values in advance. The capacity doubles when it runs out, so pushing takes amortized constant time.
+     *
+     * @param {Function} ArrayType the typed array constructor, such as Float32Array or Uint32Array
+     * @param {Number} capacity optional, the number of values to allocate room for at first
+     * */
+    var ArrayBuilder = function( ArrayType, capacity ) {
+        this.ArrayType = ArrayType;
+        this.array = new ArrayType( capacity || 1024 );
+        this.length = 0;
+    };
+
+    ArrayBuilder.prototype.push = function( value ) {
+        if ( this.length === this.array.length ) {
+            var grown = new this.ArrayType( 2 * this.array.length );
+            grown.set( this.array );
+            this.array = grown;
+        }
+        this.array[ this.length++ ] = value;
+    };
+
+    /**
+     * Pushes the first count values of an array.
+     * */
+    ArrayBuilder.prototype.pushAll = function( values, count ) {
+        count = count === undefined ? values.length : count;
+        for ( var i = 0; i < count; i++ ) {
+            this.push( values[i] );
+        }
+    };
+
+    /**
+     * @returns {TypedArray} a typed array of exactly the values pushed so far, with a buffer of its own
+     * */
+    ArrayBuilder.prototype.toArray = function() {
+        return new this.ArrayType( this.array.subarray( 0, this.length ) );
+    };
+
+    module.ArrayBuilder = ArrayBuilder;
+
     ////////////////////////////////////////////////////////////////////////////////
     // PLY parser methods & prototypes
     ////////////////////////////////////////////////////////////////////////////////
 
-    var TokenStream = function() {
+    /**
+     * @param {Object} reader the BufferView the tokens are read from, used for reporting errors
+     * */
+    var TokenStream = function( reader ) {
+        this.reader = reader;
         this.tokenStream = [];
+        this.offsets = [];
         this.index = 0;
         this.end = 0;
+        //the text of the obj_info lines, which aren't tokenized
+        this.objInfo = [];
     };
 
-    TokenStream.prototype.append = function( token ) {
+    /**
+     * @param {String} token
+     * @param {Number} offset the byte offset of the line containing the token
+     * */
+    TokenStream.prototype.append = function( token, offset ) {
         this.tokenStream.push( token );
+        this.offsets.push( offset );
         this.end++;
     };
 
+    /**
+     * @returns {Object} a ParseError located at the line of the last token read from the stream
+     * */
+    TokenStream.prototype.error = function( message ) {
+        var index = Math.min( Math.max( this.index - 1, 0 ), this.end - 1 );
+        return this.reader.error( message, this.offsets[index] );
+    };
+
     TokenStream.prototype.get = function() {
         var res = this.tokenStream[this.index];
         this.index++;
@@ -235,15 +543,45 @@ var morphoviewer = ( function( module ) {
         return this.tokenStream[this.index+count];
     };
 
+    //the names of the BufferView methods which read each PLY type
     var plyTypeToBufferView = {
-        "char": BufferView.getChar,
-        "uchar": BufferView.getUint8,
-        "short": BufferView.getInt16,
-        "ushort": BufferView.getUint16,
-        "int": BufferView.getInt32,
-        "uint": BufferView.getUint32,
-        "float": BufferView.getFloat32,
-        "double": BufferView.getFloat64
+        "char": "getInt8",
+        "uchar": "getUint8",
+        "short": "getInt16",
+        "ushort": "getUint16",
+        "int": "getInt32",
+        "uint": "getUint32",
+        "float": "getFloat32",
+        "double": "getFloat64",
+        //the sized type names used by newer files
+        "int8": "getInt8",
+        "uint8": "getUint8",
+        "int16": "getInt16",
+        "uint16": "getUint16",
+        "int32": "getInt32",
+        "uint32": "getUint32",
+        "float32": "getFloat32",
+        "float64": "getFloat64"
+    };
+
+    //the typed array each property type is stored in
+    var plyTypeToArray = {
+        "char": Int8Array,
+        "uchar": Uint8Array,
+        "short": Int16Array,
+        "ushort": Uint16Array,
+        "int": Int32Array,
+        "uint": Uint32Array,
+        "float": Float32Array,
+        "double": Float64Array,
+        "int8": Int8Array,
+        "uint8": Uint8Array,
+        "int16": Int16Array,
+        "uint16": Uint16Array,
+        "int32": Int32Array,
+        "uint32": Uint32Array,
+        "float32": Float32Array,
+        "float64": Float64Array
     };
 
     var plyTypeToParseString = {
@@ -254,7 +592,15 @@ var morphoviewer = ( function( module ) {
         "int": parseInt,
         "uint": parseInt,
         "float": parseFloat,
-        "double": parseFloat
+        "double": parseFloat,
+        "int8": parseInt,
+        "uint8": parseInt,
+        "int16": parseInt,
+        "uint16": parseInt,
+        "int32": parseInt,
+        "uint32": parseInt,
+        "float32": parseFloat,
+        "float64": parseFloat
     };
 
     var PLYElementParser = function( count ) {
@@ -262,10 +608,19 @@ var morphoviewer = ( function( module ) {
         this.propertyParsers = [];
     };
 
-    PLYElementParser.prototype.parseElement = function() {
+    /**
+     * @param {Object} reader the BufferView object to read the element from
+     * */
+    PLYElementParser.prototype.parseElement = function( reader ) {
         for ( var i = 0; i < this.count; i++ ) {
             for ( var j = 0; j < this.propertyParsers.length; j++ ) {
-                this.propertyParsers[j].parse();
+                this.propertyParsers[j].parse( reader );
+            }
+            reader.progress();
+        }
+        for ( var j = 0; j < this.propertyParsers.length; j++ ) {
+            if ( this.propertyParsers[j].finish ) {
+                this.propertyParsers[j].finish();
             }
         }
     };
@@ -274,72 +629,109 @@ var morphoviewer = ( function( module ) {
         this.propertyParsers.push( parser );
     };
 
-    var PLYBinaryScalarPropertyParser = function( target, type ) {
+    /**
+     * The scalar property parsers store the values in a typed array of the property type, one value per element.
+     * */
+    var PLYBinaryScalarPropertyParser = function( target, type, name ) {
         this.target = target;
+        this.index = 0;
         this.getter = plyTypeToBufferView[type];
-
+        this.name = name;
     };
 
-    /**
-     * */
-    PLYBinaryScalarPropertyParser.prototype.parse = function() {
-        this.target.push(this.getter());
+    PLYBinaryScalarPropertyParser.prototype.parse = function( reader ) {
+        this.target[ this.index++ ] = reader[this.getter]();
     };
 
-    var PLYAsciiScalarPropertyParser = function( target, type ) {
+    var PLYAsciiScalarPropertyParser = function( target, type, name ) {
         this.target = target;
+        this.index = 0;
         this.parser = plyTypeToParseString[type];
+        this.name = name;
     };
 
-    PLYAsciiScalarPropertyParser.prototype.parse = function() {
-        var token = BufferView.readToken();
-        this.target.push( this.parser(token) );
+    /**
+     * Reads a token and parses it, throwing a ParseError if it isn't a number.
+     * */
+    function readPLYNumber( reader, parser, name ) {
+        var token = reader.readToken();
+        var value = parser( token );
+        //some writers, including writePLY, write out NaN values as such
+        if ( isNaN( value ) && !/^[+-]?nan$/i.test( token ) ) {
+            throw reader.error( "expected a number for property " + name + ", got '" + token + "'", reader.tokenOffset );
+        }
+        return value;
+    }
+
+    PLYAsciiScalarPropertyParser.prototype.parse = function( reader ) {
+        this.target[ this.index++ ] = readPLYNumber( reader, this.parser, this.name );
     };
 
-    var PLYBinaryListPropertyParser = function( target, numeratorType, listType ) {
+    /**
+     * The list property parsers store the lists of all the elements in the compressed sparse row style: the values
+     * one after another in a typed array of the list type, and the offset of the first value of each list in the
+     * offsets array, which has an extra offset at the end. The list of element i is then
+     * values.subarray( offsets[i], offsets[i+1] ).
+     * */
+    var PLYBinaryListPropertyParser = function( target, numeratorType, listType, name ) {
         this.target = target;
+        this.index = 0;
+        this.values = new ArrayBuilder( plyTypeToArray[listType], 3 * target.offsets.length );
         this.numeratorGetter = plyTypeToBufferView[numeratorType];
         this.listGetter = plyTypeToBufferView[listType];
+        this.name = name;
     };
 
-    PLYBinaryListPropertyParser.prototype.parse = function() {
-        var count = this.numeratorGetter();
-        var result = [];
+    PLYBinaryListPropertyParser.prototype.parse = function( reader ) {
+        var count = reader[this.numeratorGetter]();
+        if ( count < 0 ) {
+            throw reader.error( "negative length " + count + " for list property " + this.name );
+        }
         for ( var i = 0; i < count; i++ ) {
-            result.push( this.listGetter() );
+            this.values.push( reader[this.listGetter]() );
         }
-        this.target.push(result);
+        this.target.offsets[ ++this.index ] = this.values.length;
+    };
+
+    PLYBinaryListPropertyParser.prototype.finish = function() {
+        this.target.values = this.values.toArray();
     };
 
-    var PLYAsciiListPropertyParser = function( target, numeratorType, listType ) {
+    var PLYAsciiListPropertyParser = function( target, numeratorType, listType, name ) {
         this.target = target;
+        this.index = 0;
+        this.values = new ArrayBuilder( plyTypeToArray[listType], 3 * target.offsets.length );
         this.numeratorParser = plyTypeToParseString[numeratorType];
         this.listParser = plyTypeToParseString[listType];
+        this.name = name;
     };
 
-    PLYAsciiListPropertyParser.prototype.parse = function() {
-        var token = BufferView.readToken();
-        var number = this.numeratorParser( token );
-        var result = [];
+    PLYAsciiListPropertyParser.prototype.parse = function( reader ) {
+        var number = readPLYNumber( reader, this.numeratorParser, this.name );
+        if ( number < 0 ) {
+            throw reader.error( "negative length " + number + " for list property " + this.name, reader.tokenOffset );
+        }
         for ( var i = 0; i < number; i++ ) {
-            token = BufferView.readToken();
-            result.push( this.listParser(token) );
+            this.values.push( readPLYNumber( reader, this.listParser, this.name ) );
         }
-        this.target.push( result );
+        this.target.offsets[ ++this.index ] = this.values.length;
     };
 
+    PLYAsciiListPropertyParser.prototype.finish = PLYBinaryListPropertyParser.prototype.finish;
+
     /**
      * Appends a line of tokens to a TokenStream object. The "ply" and "comment" tokens
      * are not appended.
      *
      * @param {Array} tokens the array of string tokens to be added to the token stream
      * @param {Object} tokenStream a TokenStream object
+     * @param {Number} offset the byte offset of the line
      * @returns {Boolean} true, if we reached the "end_header" token, false otherwise
      * */
-    function tokenizePLYLine( tokens, tokenStream ) {
+    function tokenizePLYLine( tokens, tokenStream, offset ) {
         for ( var i = 0; i < tokens.length; i++ ) {
             var token = tokens[i];
-            tokenStream.append( token );
+            tokenStream.append( token, offset );
 
             if ( token === "end_header" ) {
                 return true;
@@ -351,18 +743,29 @@ var morphoviewer = ( function( module ) {
     /**
      * Turn the PLY header into a stream of tokens.
      *
+     * @param {Object} reader the BufferView object to read the header from
      * @returns {Object} the TokenStream object representing the header
      * */
-    function tokenizePLYHeader() {
-        var tokenStream = new TokenStream();
+    function tokenizePLYHeader( reader ) {
+        var tokenStream = new TokenStream( reader );
+        if ( reader.readLine().trim() !== "ply" ) {
+            throw reader.error( "expected 'ply' on the first line", 0 );
+        }
         while ( true ) {
-            var line = BufferView.readLine();
-            var tokens = line.split(" ");
+            if ( reader.tell() >= reader.end() ) {
+                throw reader.error( "unexpected end of file, the header has no end_header line" );
+            }
+            var line = reader.readLine();
+            var tokens = line.trim().split(/\s+/);
             var token = tokens[0];
-            if ( token === "ply" || token === "comment" ) {
+            if ( token === "" || token === "comment" ) {
+                continue;
+            }
+            if ( token === "obj_info" ) {
+                tokenStream.objInfo.push( line.trim().substring( token.length ).trim() );
                 continue;
             }
-            if ( tokenizePLYLine( tokens, tokenStream ) ) {
+            if ( tokenizePLYLine( tokens, tokenStream, reader.lineOffset ) ) {
                 break;
             }
         }
@@ -371,10 +774,11 @@ var morphoviewer = ( function( module ) {
     }
 
     /**
-     * @returns {Array} an array of element parsers, the result dictionary, and the format string
+     * @param {Object} reader the BufferView object to read the header from
+     * @returns {Array} an array of element parsers, the result dictionary, the format string, and the obj_info lines
      * */
-    function parsePLYHeader() {
-        var tokenStream = tokenizePLYHeader();
+    function parsePLYHeader( reader ) {
+        var tokenStream = tokenizePLYHeader( reader );
 
         var resultDict = {};
         var elementParsers = [];
@@ -384,20 +788,28 @@ var morphoviewer = ( function( module ) {
             if ( token === "format" ) {
                 format = parseFormat( tokenStream );
             } else if ( token === "element" ) {
+                if ( format === "" ) {
+                    throw tokenStream.error( "the format line must come before the elements" );
+                }
                 elementParsers.push( parseElement(tokenStream, resultDict, format ) );
             } else if ( token === "end_header" ) {
                 break;
+            } else {
+                throw tokenStream.error( "unexpected header keyword '" + token + "'" );
             }
         }
-        return [ elementParsers, resultDict, format ];
+        if ( format === "" ) {
+            throw tokenStream.error( "the header has no format line" );
+        }
+        return [ elementParsers, resultDict, format, tokenStream.objInfo ];
     }
 
     /**
      * Parse the entire data section of the file, depositing the results in the result dictionary.
      * */
-    function parsePLYData( elementParsers ) {
+    function parsePLYData( reader, elementParsers ) {
         for ( var i = 0; i < elementParsers.length; i++ ) {
-            elementParsers[i].parseElement();
+            elementParsers[i].parseElement( reader );
         }
     }
 
@@ -413,6 +825,8 @@ var morphoviewer = ( function( module ) {
             result = "little";
         } else if ( token === "binary_big_endian" ) {
             result = "big";
+        } else {
+            throw tokenStream.error( "unknown format '" + token + "'" );
         }
         //get rid of version number
         tokenStream.get();
@@ -426,16 +840,24 @@ var morphoviewer = ( function( module ) {
         var name = tokenStream.get();
         resultDict[name] = {};
         var number = tokenStream.get();
+        if ( !/^\d+$/.test( number ) ) {
+            throw tokenStream.error( "invalid count '" + number + "' for element " + name );
+        }
+        //each element takes at least a byte, and the arrays for the elements are allocated up front
+        if ( parseInt(number) > tokenStream.reader.size() ) {
+            throw tokenStream.error( "the count " + number + " of element " + name + " is larger than the file" );
+        }
         var elementParser = new PLYElementParser( parseInt(number) );
         while ( tokenStream.peek() === "property" ) {
-            elementParser.append( parseProperty( tokenStream, resultDict[name], format ) );
+            elementParser.append( parseProperty( tokenStream, resultDict[name], format, elementParser.count ) );
         }
         return elementParser;
     }
 
     /**
+     * @param {Number} count the number of elements, for allocating the arrays of the property
      * @returns {Object} returns an object of type PLY*PropertyParser */
-    function parseProperty( tokenStream, target, format ) {
+    function parseProperty( tokenStream, target, format, count ) {
         //get rid of the property token
         tokenStream.get();
         //declare our property parser
@@ -443,39 +865,88 @@ var morphoviewer = ( function( module ) {
         if ( tokenStream.peek() === "list" ) {
             //get rid of the list token
             tokenStream.get();
-            var numeratorType = tokenStream.get();
-            var listType = tokenStream.get();
+            var numeratorType = checkPLYType( tokenStream, tokenStream.get() );
+            var listType = checkPLYType( tokenStream, tokenStream.get() );
             var listName = tokenStream.get();
-            target[listName] = [];
+            target[listName] = { offsets: new Uint32Array( count + 1 ), values: new plyTypeToArray[listType]( 0 ) };
             if ( format === "ascii" ) {
-                parser = new PLYAsciiListPropertyParser( target[listName], numeratorType, listType );
+                parser = new PLYAsciiListPropertyParser( target[listName], numeratorType, listType, listName );
             } else if ( format === "little" || format === "big" ) {
-                parser = new PLYBinaryListPropertyParser( target[listName], numeratorType, listType );
+                parser = new PLYBinaryListPropertyParser( target[listName], numeratorType, listType, listName );
             }
         } else {
-            var propertyType = tokenStream.get();
+            var propertyType = checkPLYType( tokenStream, tokenStream.get() );
             var propertyName = tokenStream.get();
-            target[propertyName] = [];
+            target[propertyName] = new plyTypeToArray[propertyType]( count );
             if ( format === "ascii" ) {
-                parser = new PLYAsciiScalarPropertyParser( target[propertyName], propertyType );
+                parser = new PLYAsciiScalarPropertyParser( target[propertyName], propertyType, propertyName );
             } else if ( format === "little" || format === "big" ) {
-                parser = new PLYBinaryScalarPropertyParser( target[propertyName], propertyType );
+                parser = new PLYBinaryScalarPropertyParser( target[propertyName], propertyType, propertyName );
             }
         }
         return parser;
     }
 
+    /**
+     * @returns {String} the type, if it is a known PLY type. Throws a ParseError otherwise.
+     * */
+    function checkPLYType( tokenStream, type ) {
+        if ( !plyTypeToBufferView.hasOwnProperty( type ) ) {
+            throw tokenStream.error( "unknown property type '" + type + "'" );
+        }
+        return type;
+    }
+
+    /**
+     * Throws a ParseError if a face refers to a vertex which doesn't exist.
+     * */
+    function checkPLYFaces( reader, model ) {
+        if ( model["face"] === undefined || model["face"]["vertex_indices"] === undefined ||
+            model["vertex"] === undefined ) {
+            return;
+        }
+        var faces = model["face"]["vertex_indices"];
+        var vertexCount = 0;
+        for ( var property in model["vertex"] ) {
+            var values = model["vertex"][property];
+            vertexCount = values.offsets !== undefined ? values.offsets.length - 1 : values.length;
+            break;
+        }
+        for ( var i = 0; i + 1 < faces.offsets.length; i++ ) {
+            for ( var j = faces.offsets[i]; j < faces.offsets[i+1]; j++ ) {
+                var index = faces.values[j];
+                if ( index < 0 || index >= vertexCount || Math.floor( index ) !== index ) {
+                    throw new module.io.ParseError(
+                        "ply",
+                        "face " + i + " refers to vertex " + index + ", but there are " + vertexCount + " vertices",
+                        null,
+                        null
+                    );
+                }
+            }
+        }
+    }
+
     /**
      * @brief Parse a PLY file buffer.
      * @param {Uint8Array} The file to be parsed in the form of a Uint8Array buffer.
-     * @returns {Object} An object containing a key for each element of the PLY file.
+     * @param {Function} onprogress optional, called with the number of bytes read and the total number of bytes
+     * @returns {Object} An object containing a key for each element of the PLY file, each containing a key for each
+     * property. Scalar properties are typed arrays of the property type, with a value per element. List properties
+     * are objects containing the offsets and values typed arrays, see PLYBinaryListPropertyParser. Elements other
+     * than vertex and face, such as edge or material, are read too, but left for the caller to use or ignore. The
+     * faces are given as they are in the file, so they may be polygons. The text of any obj_info lines is in the
+     * obj_info array.
      * */
-    module.parsePLY = function( buffer ) {
-        BufferView(buffer);
-        var parseData = parsePLYHeader();
+    module.parsePLY = function( buffer, onprogress ) {
+        var reader = new BufferView( buffer );
+        reader.onprogress = onprogress || null;
+        reader.format = "ply";
+        var parseData = parsePLYHeader( reader );
         var elementParsers = parseData[0];
         var model = parseData[1];
         var format = parseData[2];
+        var objInfo = parseData[3];
 
         if (format != "ascii") {
             //set as default of jDataview
@@ -483,19 +954,28 @@ var morphoviewer = ( function( module ) {
             if (format === "little") {
                 littleEndian = true;
             }
-            BufferView.isLittleEndian(littleEndian);
+            reader.isLittleEndian( littleEndian );
+            reader.text = false;
         }
-        parsePLYData(elementParsers);
+        parsePLYData( reader, elementParsers );
+        //some scanners call the face list vertex_index
+        if ( model["face"] !== undefined && model["face"]["vertex_indices"] === undefined &&
+            model["face"]["vertex_index"] !== undefined ) {
+            model["face"]["vertex_indices"] = model["face"]["vertex_index"];
+        }
+        checkPLYFaces( reader, model );
+        //not enumerable, so that it doesn't show up among the elements
+        Object.defineProperty( model, "obj_info", { value: objInfo } );
 
         return model;
     };
 
     /**
      * @returns {Object} An object, where each element is represented by a named object, and each
-     * property by a named array within the object. */
+     * property by a named typed array within the object, see parsePLY. */
     module.io.loadPLY = function( file, onload ) {
         var loader = function( data ) {
-            var buffer = new Uint8Array( data );
+            var buffer = module.io.decompress( new Uint8Array( data ) );
             var model = module.parsePLY( buffer );
 
             if ( typeof(onload) != "undefined" ) {
@@ -504,228 +984,1959 @@ var morphoviewer = ( function( module ) {
 
         };
 
-        loadFile( file, loader );
+        module.io.loadFile( file, loader );
     };
 
     ////////////////////////////////////////////////////////////////////////////////
-    // OBJ parser methods & prototypes
+    // PLY writer methods
     ////////////////////////////////////////////////////////////////////////////////
 
-    function parseOBJ() {
-        var target = { "v": [], "f": [] };
-        while ( BufferView.tell() < BufferView.end() ) {
-            var line = BufferView.readLine();
-            var tokens = line.split(" ");
+    /**
+     * @param {String} str a string containing only ASCII characters
+     * @returns {Uint8Array} the bytes of the string
+     * */
+    function asciiToBytes( str ) {
+        var bytes = new Uint8Array( str.length );
+        for ( var i = 0; i < str.length; i++ ) {
+            bytes[i] = str.charCodeAt( i );
+        }
+        return bytes;
+    }
 
-            var verts = target["v"];
-            var tris = target["f"];
+    /**
+     * @brief Write the mesh cache of a viewer as a PLY file.
+     *
+     * The vertices are written with their normals, orientation and colors (if the mesh has any), and the faces
+     * with their curvature. These are the same properties that Viewer.loadData reads, so the file can be loaded
+     * back as it was.
+     *
+     * @param {Object} meshCache the mesh cache, containing the wrappedVertex, wrappedNormal, index, orientation,
+     * and curvature fields, and optionally wrappedColor
+     * @param {String} format "binary" (by default), or "ascii"
+     * @returns {ArrayBuffer} the contents of the file
+     * @throws {SaveError} if the mesh has no indexed vertex data
+     * */
+    module.writePLY = function( meshCache, format ) {
+        if ( typeof(format) === "undefined" ) {
+            format = "binary";
+        }
+        var verts = meshCache.wrappedVertex;
+        var norms = meshCache.wrappedNormal;
+        var tris = meshCache.index;
+        if ( verts === undefined || verts.length === 0 ) {
+            throw new module.io.SaveError( "data", "writePLY: the mesh has no indexed vertex data", { format: "ply" } );
+        }
+        var vertexCount = verts.length / 3;
+        var faceCount = tris.length / 3;
+        var orientation = meshCache.orientation;
+        var colors = meshCache.wrappedColor;
+        var hasColor = colors !== undefined && colors.length === verts.length;
+
+        var header = [
+            "ply",
+            format === "ascii" ? "format ascii 1.0" : "format binary_little_endian 1.0",
+            "comment written by morphoviewer",
+            "element vertex " + vertexCount,
+            "property float x",
+            "property float y",
+            "property float z",
+            "property float nx",
+            "property float ny",
+            "property float nz",
+            "property float orientation"
+        ].concat( hasColor ? [ "property uchar red", "property uchar green", "property uchar blue" ] : [] ).concat( [
+            "element face " + faceCount,
+            "property list uchar int vertex_indices",
+            "property float curvature",
+            "end_header",
+            ""
+        ] ).join( "\n" );
+        //the colors are stored in the range [0, 1]
+        var colorByte = function( value ) {
+            return Math.max( 0, Math.min( 255, Math.round( 255 * value ) ) );
+        };
 
-            if ( tokens[0] == "v" ) {
-                verts.push([
-                    parseFloat( tokens[1] ),
-                    parseFloat( tokens[2] ),
-                    parseFloat( tokens[3] )
-                ]);
-            }
-            var hasNormals = false;
-            var norms = target["vn"];//undefined if there are no normals
-            if ( tokens[0] == "vn" ) {
-                if ( !hasNormals ) {
-                    target["vn"] = [];
-                    norms = target["vn"];
-                    hasNormals = true;
+        if ( format === "ascii" ) {
+            var lines = [ header ];
+            for ( var i = 0; i < vertexCount; i++ ) {
+                var values = [
+                    verts[3*i], verts[3*i+1], verts[3*i+2],
+                    norms[3*i], norms[3*i+1], norms[3*i+2],
+                    orientation[i]
+                ];
+                if ( hasColor ) {
+                    values.push( colorByte( colors[3*i] ), colorByte( colors[3*i+1] ), colorByte( colors[3*i+2] ) );
                 }
-                norms.push([
-                    parseFloat( tokens[1] ),
-                    parseFloat( tokens[2] ),
-                    parseFloat( tokens[3] )
-                ]);
-            }
-            if ( tokens[0] == "f" ) {
-                var tri = [];
-                var ind1 = parseInt( tokens[1] ) - 1;
-                for ( var i = 2; i < tokens.length; i += 2 ) {
-                    var ind2 = parseInt( tokens[i] ) - 1;
-                    var ind3 = parseInt( tokens[i+1] ) - 1;
-                    tri.push( ind1, ind2, ind3 );
-                }
-                tris.push( tri );
+                lines.push( values.join( " " ) + "\n" );
+            }
+            for ( var i = 0; i < faceCount; i++ ) {
+                lines.push( [ 3, tris[3*i], tris[3*i+1], tris[3*i+2], meshCache.curvature[i] ].join( " " ) + "\n" );
             }
+            return asciiToBytes( lines.join( "" ) ).buffer;
         }
-        return target;
-    }
-
-    module.parseOBJ = function( buffer ) {
-        BufferView( buffer );
-        var model = parseOBJ();
-        return model;
-    };
-
-    module.io.loadOBJ = function( file, onload ) {
-        var loader = function( data ) {
-            var buffer = new Uint8Array( data );
-            var model = module.parseOBJ( buffer );
 
-            if ( typeof(onload) != "undefined" ) {
-                onload( model );
+        // each vertex is 7 floats and maybe three uchars, each face is a uchar, three ints and a float
+        var headerBytes = asciiToBytes( header );
+        var vertexBytes = hasColor ? 31 : 28;
+        var result = new ArrayBuffer( headerBytes.length + vertexBytes * vertexCount + 17 * faceCount );
+        new Uint8Array( result ).set( headerBytes );
+        var view = new DataView( result );
+        var offset = headerBytes.length;
+        for ( var i = 0; i < vertexCount; i++ ) {
+            view.setFloat32( offset, verts[3*i], true );
+            view.setFloat32( offset + 4, verts[3*i+1], true );
+            view.setFloat32( offset + 8, verts[3*i+2], true );
+            view.setFloat32( offset + 12, norms[3*i], true );
+            view.setFloat32( offset + 16, norms[3*i+1], true );
+            view.setFloat32( offset + 20, norms[3*i+2], true );
+            view.setFloat32( offset + 24, orientation[i], true );
+            if ( hasColor ) {
+                view.setUint8( offset + 28, colorByte( colors[3*i] ) );
+                view.setUint8( offset + 29, colorByte( colors[3*i+1] ) );
+                view.setUint8( offset + 30, colorByte( colors[3*i+2] ) );
             }
-        };
-        loadFile( file, loader );
+            offset += vertexBytes;
+        }
+        for ( var i = 0; i < faceCount; i++ ) {
+            view.setUint8( offset, 3 );
+            view.setInt32( offset + 1, tris[3*i], true );
+            view.setInt32( offset + 5, tris[3*i+1], true );
+            view.setInt32( offset + 9, tris[3*i+2], true );
+            view.setFloat32( offset + 13, meshCache.curvature[i], true );
+            offset += 17;
+        }
+        return result;
     };
 
     ////////////////////////////////////////////////////////////////////////////////
-    // STL parser methods & prototypes
+    // OBJ parser methods & prototypes
     ////////////////////////////////////////////////////////////////////////////////
 
-    // this functions assumes that BufferView has already been set
-    function parseAsciiSTL( target ) {
-        parseSTLSolid( target );
+    /**
+     * Resolve an OBJ index into a zero-based index. OBJ indices start from one, and negative indices
+     * are relative to the end of the list read so far.
+     *
+     * @param {String} token the index, as written in the file
+     * @param {Number} count the number of elements read so far
+     * @returns {Number} the zero-based index, or NaN if the token is empty
+     * */
+    function objIndex( token, count ) {
+        var index = parseInt( token );
+        if ( index < 0 ) {
+            return count + index;
+        }
+        return index - 1;
     }
 
-    function parseSTLSolid( target ) {
-        BufferView.readLine();  //get rid of "solid <name>"
-        while( BufferView.peekToken() === "facet" ) {
-            parseSTLFacet( target );
+    /**
+     * Converts an OBJ index with objIndex, throwing a ParseError if it's not an integer, or out of range.
+     *
+     * @param {Object} reader the BufferView object the line was read from
+     * @param {String} token the index, as written in the file
+     * @param {Number} count the number of vertices (or normals) read so far
+     * @param {String} what the name of the thing being indexed, for the error message
+     * @returns {Number} the zero-based index
+     * */
+    function checkOBJIndex( reader, token, count, what ) {
+        if ( !/^-?\d+$/.test( token ) ) {
+            throw reader.error( "invalid " + what + " index '" + token + "'", reader.lineOffset );
         }
-        var token = BufferView.peekToken();
-        if ( token !== "endsolid" ) {
-            console.log("parseSTLSolid: expected endsolid but got " + token );
+        var index = objIndex( token, count );
+        if ( index < 0 || index >= count ) {
+            throw reader.error( what + " index " + token + " is out of range, " + count + " defined so far",
+                reader.lineOffset );
         }
+        return index;
     }
 
-    function parseSTLFacet( target ) {
-        var line = BufferView.readLine();
-        var tokens = line.trim().split(/\s+/);
-        var normals = target["vn"];
-        normals.push( parseFloat(tokens[2]) );
-        normals.push( parseFloat(tokens[3]) );
-        normals.push( parseFloat(tokens[4]) );
-        normals.push( parseFloat(tokens[2]) );
-        normals.push( parseFloat(tokens[3]) );
-        normals.push( parseFloat(tokens[4]) );
-        normals.push( parseFloat(tokens[2]) );
-        normals.push( parseFloat(tokens[3]) );
-        normals.push( parseFloat(tokens[4]) );
-        parseSTLLoop( target );
-        BufferView.readLine();  //get rid of "endfacet"
-    }
-
-    function parseSTLLoop( target ) {
-        var vertices = target["v"];
-        BufferView.readLine();  //get rid of "outer loop"
-        for ( i = 0; i < 3; i++ ) {
-            var line = BufferView.readLine();
+    /**
+     * Parses the OBJ file read by the reader. Faces are given in the "f" array as index triplets,
+     * polygons with more than three vertices are fan-triangulated. If the faces refer to normals with the
+     * f v//vn or f v/vt/vn syntax, the normal index triplets are stored in the "fn" array.
+     *
+     * @param {Object} reader the BufferView object to read the file from
+     * @returns {Object} an object containing the "v" and "vn" Float32Arrays, with three coordinates per vertex or
+     * normal, and the "f" and "fn" Uint32Arrays, with three indices per triangle
+     * */
+    function parseOBJ( reader ) {
+        var verts = new ArrayBuilder( Float32Array );
+        var norms = new ArrayBuilder( Float32Array );
+        var tris = new ArrayBuilder( Uint32Array );
+        var triNormals = new ArrayBuilder( Uint32Array );
+        var hasFaceNormals = true;
+
+        while ( reader.tell() < reader.end() ) {
+            var line = reader.readLine();
             var tokens = line.trim().split(/\s+/);
-            vertices.push( parseFloat(tokens[1]) );
-            vertices.push( parseFloat(tokens[2]) );
-            vertices.push( parseFloat(tokens[3]) );
-        }
-        BufferView.readLine(); // get rid of "endloop"
-    }
+            reader.progress();
 
-    function parseBinarySTL( target ) {
-        var verts = target["v"];
-        var norms = target["vn"];
-        BufferView.seek( 80 );
-        var tris = BufferView.getUint32();
-
-        for ( var i = 0; i < tris; i++ ) {
-            var nx = BufferView.getFloat32();
-            var ny = BufferView.getFloat32();
-            var nz = BufferView.getFloat32();
-            norms.push( nx, ny, nz );
-            norms.push( nx, ny, nz );
-            norms.push( nx, ny, nz );
-
-            for ( var j = 0; j < 3; j++ ) {
-                verts.push(
-                    BufferView.getFloat32(),
-                    BufferView.getFloat32(),
-                    BufferView.getFloat32()
-                );
+            if ( tokens[0] == "v" ) {
+                verts.pushAll( parseNumbers( reader, tokens, 3, "vertex" ) );
+            } else if ( tokens[0] == "vn" ) {
+                norms.pushAll( parseNumbers( reader, tokens, 3, "normal" ) );
+            } else if ( tokens[0] == "f" ) {
+                if ( tokens.length < 4 ) {
+                    throw reader.error( "a face needs at least three vertices", reader.lineOffset );
+                }
+                // each face vertex is given as v, v/vt, v//vn, or v/vt/vn
+                var polygon = [];
+                var polygonNormals = [];
+                for ( var i = 1; i < tokens.length; i++ ) {
+                    var indices = tokens[i].split( "/" );
+                    polygon.push( checkOBJIndex( reader, indices[0], verts.length / 3, "vertex" ) );
+                    if ( indices.length > 2 && indices[2] !== "" ) {
+                        polygonNormals.push( checkOBJIndex( reader, indices[2], norms.length / 3, "normal" ) );
+                    } else {
+                        hasFaceNormals = false;
+                    }
+                }
+                //triangulate the polygon as a fan around the first vertex
+                for ( var j = 1; j + 1 < polygon.length; j++ ) {
+                    tris.push( polygon[0] );
+                    tris.push( polygon[j] );
+                    tris.push( polygon[j+1] );
+                    if ( hasFaceNormals ) {
+                        triNormals.push( polygonNormals[0] );
+                        triNormals.push( polygonNormals[j] );
+                        triNormals.push( polygonNormals[j+1] );
+                    }
+                }
             }
-
-            //get rid of the attribute count
-            BufferView.getUint16();
         }
+        return {
+            "v": verts.toArray(),
+            "vn": norms.toArray(),
+            "f": tris.toArray(),
+            "fn": hasFaceNormals ? triNormals.toArray() : new Uint32Array( 0 )
+        };
     }
 
-    module.parseSTL = function( buffer ) {
-
-        BufferView( buffer, 0, true );
-        var model = { v: [], vn: [] };
-        //figure out if binary or ascii STL
-        var token = BufferView.peekToken();
-        if ( token === "solid" ) {
-            parseAsciiSTL( model );
-        } else {
-            parseBinarySTL( model );
-        }
-
+    module.parseOBJ = function( buffer, onprogress ) {
+        var reader = new BufferView( buffer );
+        reader.onprogress = onprogress || null;
+        reader.format = "obj";
+        var model = parseOBJ( reader );
         return model;
     };
 
-    module.io.loadSTL = function( file, onload ) {
+    module.io.loadOBJ = function( file, onload ) {
         var loader = function( data ) {
-            var buffer = new Uint8Array( data );
-            var model = module.parseSTL( buffer );
+            var buffer = module.io.decompress( new Uint8Array( data ) );
+            var model = module.parseOBJ( buffer );
+
             if ( typeof(onload) != "undefined" ) {
                 onload( model );
             }
         };
-        loadFile( file, loader );
+        module.io.loadFile( file, loader );
+    };
+
+    /**
+     * @brief Write the mesh cache of a viewer as an OBJ file, with vertex normals.
+     *
+     * @param {Object} meshCache the mesh cache, containing the wrappedVertex, wrappedNormal and index fields
+     * @returns {ArrayBuffer} the contents of the file
+     * @throws {SaveError} if the mesh has no indexed vertex data
+     * */
+    module.writeOBJ = function( meshCache ) {
+        var lines = [ "# written by morphoviewer\n" ];
+        var v = meshCache.wrappedVertex;
+        var n = meshCache.wrappedNormal;
+        var tris = meshCache.index;
+        if ( v === undefined || v.length === 0 ) {
+            throw new module.io.SaveError( "data", "writeOBJ: the mesh has no indexed vertex data", { format: "obj" } );
+        }
+        for ( var i = 0; i < v.length; i += 3 ) {
+            lines.push( "v " + v[i] + " " + v[i+1] + " " + v[i+2] + "\n" );
+        }
+        for ( var i = 0; i < n.length; i += 3 ) {
+            lines.push( "vn " + n[i] + " " + n[i+1] + " " + n[i+2] + "\n" );
+        }
+        for ( var i = 0; i < tris.length; i += 3 ) {
+            var a = tris[i] + 1;
+            var b = tris[i+1] + 1;
+            var c = tris[i+2] + 1;
+            lines.push( "f " + a + "//" + a + " " + b + "//" + b + " " + c + "//" + c + "\n" );
+        }
+        return asciiToBytes( lines.join( "" ) ).buffer;
+    };
+
+    ////////////////////////////////////////////////////////////////////////////////
+    // OFF parser methods
+    ////////////////////////////////////////////////////////////////////////////////
+
+    //the OFF header keyword, with its optional prefixes for texture coordinates, colors, normals, and 4D vertices
+    var offHeader = /^(ST)?(C)?(N)?(4)?(n)?OFF$/;
+
+    /**
+     * @param {Object} reader the BufferView object to read from
+     * @param {String} what what the line should contain, for the error message
+     * @returns {Array} the tokens of the next line which isn't blank or a comment
+     * */
+    function readOFFLine( reader, what ) {
+        while ( reader.tell() < reader.end() ) {
+            var line = reader.readLine();
+            var comment = line.indexOf( "#" );
+            if ( comment !== -1 ) {
+                line = line.substring( 0, comment );
+            }
+            line = line.trim();
+            if ( line !== "" ) {
+                reader.progress();
+                return line.split(/\s+/);
+            }
+        }
+        throw reader.error( "unexpected end of file, expected " + what );
+    }
+
+    /**
+     * Scales colors given as integers in the range [0, 255] to the range [0, 1], in place. Colors which are already
+     * in the range [0, 1] are left as they are.
+     *
+     * @param {Float32Array} colors the color components, three per vertex
+     * */
+    function normalizeColors( colors ) {
+        for ( var i = 0; i < colors.length; i++ ) {
+            if ( colors[i] > 1.0 ) {
+                for ( var j = 0; j < colors.length; j++ ) {
+                    colors[j] /= 255.0;
+                }
+                return;
+            }
+        }
+    }
+
+    /**
+     * Parses the Geomview OFF file read by the reader. Polygons are fan-triangulated. The COFF and NOFF
+     * variants are supported, with the vertex colors and normals stored in the "colors" and "vn" arrays.
+     *
+     * @param {Object} reader the BufferView object to read the file from
+     * @returns {Object} an object containing the "v", "vn", and "colors" Float32Arrays, with three values per vertex
+     * (the latter two being empty if the file has none), and the "f" Uint32Array, with three indices per triangle
+     * */
+    function parseOFF( reader ) {
+        var verts = new ArrayBuilder( Float32Array );
+        var norms = new ArrayBuilder( Float32Array );
+        var colors = new ArrayBuilder( Float32Array );
+        var tris = new ArrayBuilder( Uint32Array );
+        var tokens = readOFFLine( reader, "the OFF header" );
+        var header = offHeader.exec( tokens[0] );
+        if ( header === null ) {
+            throw reader.error( "expected the OFF header, got '" + tokens[0] + "'", reader.lineOffset );
+        }
+        if ( header[4] !== undefined || header[5] !== undefined ) {
+            throw reader.error( "only three dimensional vertices are supported", reader.lineOffset );
+        }
+        if ( tokens[1] === "BINARY" ) {
+            throw reader.error( "binary OFF files are not supported", reader.lineOffset );
+        }
+        var hasColors = header[2] !== undefined;
+        var hasNormals = header[3] !== undefined;
+
+        //the counts may follow the keyword on the same line
+        tokens = tokens.length > 1 ? tokens.slice( 1 ) : readOFFLine( reader, "the vertex and face counts" );
+        if ( !/^\d+$/.test( tokens[0] ) || !/^\d+$/.test( tokens[1] ) ) {
+            throw reader.error( "expected the vertex and face counts, got '" + tokens.join( " " ) + "'", reader.lineOffset );
+        }
+        var vertexCount = parseInt( tokens[0] );
+        var faceCount = parseInt( tokens[1] );
+
+        // each vertex is x y z [nx ny nz] [r g b [a]] [s t]
+        var size = 3 + ( hasNormals ? 3 : 0 ) + ( hasColors ? 3 : 0 );
+        for ( var i = 0; i < vertexCount; i++ ) {
+            var values = parseNumbers( reader, [ "" ].concat( readOFFLine( reader, "a vertex" ) ), size, "vertex" );
+            verts.pushAll( values, 3 );
+            if ( hasNormals ) {
+                norms.pushAll( values.slice( 3, 6 ) );
+            }
+            if ( hasColors ) {
+                colors.pushAll( values.slice( size - 3, size ) );
+            }
+        }
+
+        // each face is n i1 i2 ... in, optionally followed by a face color, which is ignored
+        for ( var i = 0; i < faceCount; i++ ) {
+            tokens = readOFFLine( reader, "a face" );
+            if ( !/^\d+$/.test( tokens[0] ) || parseInt( tokens[0] ) < 3 || tokens.length - 1 < parseInt( tokens[0] ) ) {
+                throw reader.error( "expected the vertex count and at least three vertex indices for a face",
+                    reader.lineOffset );
+            }
+            var polygon = [];
+            for ( var j = 1; j <= parseInt( tokens[0] ); j++ ) {
+                if ( !/^\d+$/.test( tokens[j] ) || parseInt( tokens[j] ) >= vertexCount ) {
+                    throw reader.error( "invalid vertex index '" + tokens[j] + "', there are " + vertexCount + " vertices",
+                        reader.lineOffset );
+                }
+                polygon.push( parseInt( tokens[j] ) );
+            }
+            for ( var j = 1; j + 1 < polygon.length; j++ ) {
+                tris.push( polygon[0] );
+                tris.push( polygon[j] );
+                tris.push( polygon[j+1] );
+            }
+        }
+        var target = { "v": verts.toArray(), "vn": norms.toArray(), "f": tris.toArray(), "colors": colors.toArray() };
+        normalizeColors( target["colors"] );
+        return target;
+    }
+
+    module.parseOFF = function( buffer, onprogress ) {
+        var reader = new BufferView( buffer );
+        reader.onprogress = onprogress || null;
+        reader.format = "off";
+        return parseOFF( reader );
+    };
+
+    ////////////////////////////////////////////////////////////////////////////////
+    // VRML parser methods & prototypes
+    ////////////////////////////////////////////////////////////////////////////////
+
+    /**
+     * @class Splits VRML 2.0 text into tokens. Commas count as white space, the brackets and braces are tokens of
+     * their own, and comments are skipped.
+     *
+     * @param {Object} reader the BufferView object to read from
+     * */
+    var WRLTokenizer = function( reader ) {
+        this.reader = reader;
+        this.bytes = reader.buffer;
+        this.pos = reader.tell();
+        //the offset of the last token returned by next
+        this.offset = this.pos;
+        this.peeked = null;
+    };
+
+    function isWRLSpace( c ) {
+        // space, tab, newline, carriage return, and comma
+        return c === 32 || c === 9 || c === 10 || c === 13 || c === 44;
+    }
+
+    function isWRLDelimiter( c ) {
+        // { } [ ] and the comment character #
+        return c === 123 || c === 125 || c === 91 || c === 93 || c === 35;
+    }
+
+    /**
+     * @returns {String} the next token, or null at the end of the file
+     * */
+    WRLTokenizer.prototype.next = function() {
+        if ( this.peeked !== null ) {
+            var token = this.peeked;
+            this.peeked = null;
+            this.offset = this.peekedOffset;
+            return token;
+        }
+        var bytes = this.bytes;
+        var end = bytes.length;
+        while ( this.pos < end ) {
+            var c = bytes[ this.pos ];
+            if ( isWRLSpace( c ) ) {
+                this.pos++;
+            } else if ( c === 35 ) {
+                while ( this.pos < end && bytes[ this.pos ] !== 10 ) {
+                    this.pos++;
+                }
+            } else {
+                break;
+            }
+        }
+        this.reader.seek( this.pos );
+        this.reader.progress();
+        if ( this.pos >= end ) {
+            return null;
+        }
+        this.offset = this.pos;
+        var start = this.pos;
+        if ( isWRLDelimiter( bytes[ this.pos ] ) ) {
+            this.pos++;
+        } else if ( bytes[ this.pos ] === 34 ) {
+            //a string, which may contain anything but an unescaped quote
+            this.pos++;
+            while ( this.pos < end && bytes[ this.pos ] !== 34 ) {
+                this.pos += bytes[ this.pos ] === 92 ? 2 : 1;
+            }
+            this.pos++;
+        } else {
+            while ( this.pos < end && !isWRLSpace( bytes[ this.pos ] ) && !isWRLDelimiter( bytes[ this.pos ] ) ) {
+                this.pos++;
+            }
+        }
+        var chars = [];
+        for ( var i = start; i < this.pos && i < end; i++ ) {
+            chars.push( String.fromCharCode( bytes[i] ) );
+        }
+        return chars.join( "" );
+    };
+
+    WRLTokenizer.prototype.peek = function() {
+        if ( this.peeked === null ) {
+            var offset = this.offset;
+            this.peeked = this.next();
+            this.peekedOffset = this.offset;
+            this.offset = offset;
+        }
+        return this.peeked;
+    };
+
+    WRLTokenizer.prototype.error = function( message ) {
+        return this.reader.error( message, this.offset );
+    };
+
+    /**
+     * Reads the next token, throwing a ParseError if it isn't the expected one.
+     * */
+    WRLTokenizer.prototype.expect = function( expected ) {
+        var token = this.next();
+        if ( token !== expected ) {
+            throw this.error( "expected '" + expected + "', got " + ( token === null ? "the end of the file" : "'" + token + "'" ) );
+        }
+    };
+
+    /**
+     * Skips the value of a field, or a whole node.
+     * */
+    function skipWRLValue( tokens ) {
+        var token = tokens.next();
+        if ( token === "DEF" ) {
+            tokens.next();
+            token = tokens.next();
+        }
+        if ( token === "USE" ) {
+            tokens.next();
+            return;
+        }
+        if ( token === "[" || tokens.peek() === "{" ) {
+            if ( token !== "[" ) {
+                token = tokens.next();
+            }
+            var depth = 1;
+            while ( depth > 0 ) {
+                token = tokens.next();
+                if ( token === null ) {
+                    throw tokens.error( "unexpected end of file inside a node" );
+                } else if ( token === "[" || token === "{" ) {
+                    depth++;
+                } else if ( token === "]" || token === "}" ) {
+                    depth--;
+                }
+            }
+        }
+    }
+
+    /**
+     * Reads a multiple valued field, such as [ 1 2 3, 4 5 6 ]. A single value without brackets is also valid.
+     *
+     * @returns {Array} the numbers of the field
+     * */
+    function parseWRLNumbers( tokens, what ) {
+        var values = [];
+        var parse = function( token ) {
+            var value = parseFloat( token );
+            if ( isNaN( value ) ) {
+                throw tokens.error( "expected a number in " + what + ", got '" + token + "'" );
+            }
+            values.push( value );
+        };
+        var token = tokens.next();
+        if ( token !== "[" ) {
+            parse( token );
+            return values;
+        }
+        while ( ( token = tokens.next() ) !== "]" ) {
+            if ( token === null ) {
+                throw tokens.error( "unexpected end of file in " + what );
+            }
+            parse( token );
+        }
+        return values;
+    }
+
+    /**
+     * Reads a node holding an array of vectors, such as Coordinate { point [ ... ] }. The node may be defined with
+     * DEF, and used again with USE.
+     *
+     * @param {Object} tokens a WRLTokenizer
+     * @param {Object} defs the nodes defined so far, by name
+     * @param {String} field the name of the field holding the vectors, e.g. "point"
+     * @returns {Array} the flat array of vector components
+     * */
+    function parseWRLVectorNode( tokens, defs, field ) {
+        var token = tokens.next();
+        if ( token === "NULL" ) {
+            return [];
+        }
+        if ( token === "USE" ) {
+            var name = tokens.next();
+            if ( defs[name] === undefined ) {
+                throw tokens.error( "USE of the undefined node " + name );
+            }
+            return defs[name];
+        }
+        var defName = null;
+        if ( token === "DEF" ) {
+            defName = tokens.next();
+            token = tokens.next();
+        }
+        tokens.expect( "{" );
+        var values = [];
+        while ( ( token = tokens.peek() ) !== "}" ) {
+            if ( token === null ) {
+                throw tokens.error( "unexpected end of file inside a node" );
+            }
+            tokens.next();
+            if ( token === field ) {
+                values = parseWRLNumbers( tokens, field );
+            } else {
+                skipWRLValue( tokens );
+            }
+        }
+        tokens.next();
+        if ( defName !== null ) {
+            defs[defName] = values;
+        }
+        return values;
+    }
+
+    /**
+     * Reads the fields of an IndexedFaceSet node, after its opening brace, and adds its geometry to the target.
+     * */
+    function parseWRLFaceSet( tokens, defs, target ) {
+        var points = [];
+        var normals = [];
+        var colors = [];
+        var coordIndex = [];
+        var indexedNormals = false;
+        var indexedColors = false;
+        var normalPerVertex = true;
+        var colorPerVertex = true;
+        var start = tokens.offset;
+
+        var token;
+        while ( ( token = tokens.next() ) !== "}" ) {
+            if ( token === null ) {
+                throw tokens.error( "unexpected end of file inside an IndexedFaceSet" );
+            } else if ( token === "coord" ) {
+                points = parseWRLVectorNode( tokens, defs, "point" );
+            } else if ( token === "normal" ) {
+                normals = parseWRLVectorNode( tokens, defs, "vector" );
+            } else if ( token === "color" ) {
+                colors = parseWRLVectorNode( tokens, defs, "color" );
+            } else if ( token === "coordIndex" ) {
+                coordIndex = parseWRLNumbers( tokens, "coordIndex" );
+            } else if ( token === "normalIndex" ) {
+                indexedNormals = parseWRLNumbers( tokens, "normalIndex" ).length > 0;
+            } else if ( token === "colorIndex" ) {
+                indexedColors = parseWRLNumbers( tokens, "colorIndex" ).length > 0;
+            } else if ( token === "normalPerVertex" ) {
+                normalPerVertex = tokens.next() === "TRUE";
+            } else if ( token === "colorPerVertex" ) {
+                colorPerVertex = tokens.next() === "TRUE";
+            } else {
+                skipWRLValue( tokens );
+            }
+        }
+
+        var vertexCount = Math.floor( points.length / 3 );
+        //face sets sharing a Coordinate node with USE share the vertices as well
+        var shared = target.coordinates.indexOf( points );
+        var offset = shared !== -1 ? target.offsets[shared] : target["v"].length / 3;
+        if ( shared === -1 ) {
+            target.coordinates.push( points );
+            target.offsets.push( offset );
+        }
+
+        //the faces are separated by -1, and the last one may be left without it
+        var polygon = [];
+        for ( var i = 0; i <= coordIndex.length; i++ ) {
+            var index = i < coordIndex.length ? coordIndex[i] : -1;
+            if ( index !== -1 ) {
+                if ( index < 0 || index >= vertexCount || Math.floor( index ) !== index ) {
+                    throw tokens.reader.error( "the IndexedFaceSet refers to point " + index + ", but it has " +
+                        vertexCount + " points", start );
+                }
+                polygon.push( index + offset );
+                continue;
+            }
+            for ( var j = 1; j + 1 < polygon.length; j++ ) {
+                target["f"].push( polygon[0] );
+                target["f"].push( polygon[j] );
+                target["f"].push( polygon[j+1] );
+            }
+            polygon = [];
+        }
+
+        if ( shared !== -1 ) {
+            return;
+        }
+        //the normals and colors are only used if there is one for each point, otherwise zeros fill their place
+        var size = 3 * vertexCount;
+        var hasNormals = normalPerVertex && !indexedNormals && Math.floor( normals.length / 3 ) === vertexCount;
+        var hasColors = colorPerVertex && !indexedColors && Math.floor( colors.length / 3 ) === vertexCount;
+        target.setsWithNormals += hasNormals ? 1 : 0;
+        target.setsWithColors += hasColors ? 1 : 0;
+        target.sets++;
+        for ( var i = 0; i < size; i++ ) {
+            target["v"].push( points[i] );
+            target["vn"].push( hasNormals ? normals[i] : 0 );
+            target["colors"].push( hasColors ? colors[i] : 0 );
+        }
+    }
+
+    /**
+     * Parses the IndexedFaceSet nodes of the VRML 2.0 file read by the reader, merging them into one mesh.
+     * Polygons are fan-triangulated. Transforms are not applied, and other geometry nodes are skipped. If every
+     * IndexedFaceSet has a normal or a color for each point, they are stored in the "vn" and "colors" arrays.
+     * Face sets sharing a Coordinate node through USE share their vertices.
+     *
+     * @param {Object} reader the BufferView object to read the file from
+     * @returns {Object} an object containing the "v", "vn", "f", and "colors" typed arrays, in the same form as
+     * the OFF parser returns
+     * */
+    function parseWRL( reader ) {
+        var line = reader.readLine();
+        if ( line.indexOf( "#VRML V2.0" ) !== 0 ) {
+            throw reader.error( line.indexOf( "#VRML" ) === 0 ?
+                "only VRML 2.0 files are supported" : "expected the #VRML V2.0 header", 0 );
+        }
+        var target = {
+            "v": new ArrayBuilder( Float32Array ),
+            "vn": new ArrayBuilder( Float32Array ),
+            "f": new ArrayBuilder( Uint32Array ),
+            "colors": new ArrayBuilder( Float32Array ),
+            //the coordinate arrays read so far, and the offsets of their vertices
+            coordinates: [], offsets: [],
+            //the number of face sets with their own vertices, and how many of them have normals and colors
+            sets: 0, setsWithNormals: 0, setsWithColors: 0
+        };
+        var tokens = new WRLTokenizer( reader );
+        var defs = {};
+        var token;
+        while ( ( token = tokens.next() ) !== null ) {
+            if ( token === "IndexedFaceSet" ) {
+                tokens.expect( "{" );
+                parseWRLFaceSet( tokens, defs, target );
+            }
+        }
+        if ( target.sets === 0 ) {
+            throw reader.error( "the file has no IndexedFaceSet nodes", null );
+        }
+        return {
+            "v": target["v"].toArray(),
+            "vn": target.setsWithNormals === target.sets ? target["vn"].toArray() : new Float32Array( 0 ),
+            "f": target["f"].toArray(),
+            "colors": target.setsWithColors === target.sets ? target["colors"].toArray() : new Float32Array( 0 )
+        };
+    }
+
+    module.parseWRL = function( buffer, onprogress ) {
+        var reader = new BufferView( buffer );
+        reader.onprogress = onprogress || null;
+        reader.format = "wrl";
+        return parseWRL( reader );
+    };
+
+    ////////////////////////////////////////////////////////////////////////////////
+    // glTF parser methods
+    ////////////////////////////////////////////////////////////////////////////////
+
+    //the number of components of each accessor type
+    var gltfTypeSizes = { "SCALAR": 1, "VEC2": 2, "VEC3": 3, "VEC4": 4, "MAT2": 4, "MAT3": 9, "MAT4": 16 };
+
+    //the DataView getter, size, and normalization divisor of each accessor component type
+    var gltfComponentTypes = {
+        5120: { getter: "getInt8", size: 1, max: 127 },
+        5121: { getter: "getUint8", size: 1, max: 255 },
+        5122: { getter: "getInt16", size: 2, max: 32767 },
+        5123: { getter: "getUint16", size: 2, max: 65535 },
+        5125: { getter: "getUint32", size: 4, max: 4294967295 },
+        5126: { getter: "getFloat32", size: 4, max: 1 }
+    };
+
+    var base64Alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+    /**
+     * @param {String} text base64 encoded data
+     * @returns {Uint8Array} the decoded bytes
+     * */
+    function decodeBase64( text ) {
+        text = text.replace( /[^A-Za-z0-9+\/]/g, "" );
+        var bytes = new Uint8Array( Math.floor( text.length * 3 / 4 ) );
+        var bits = 0;
+        var bitCount = 0;
+        var pos = 0;
+        for ( var i = 0; i < text.length; i++ ) {
+            bits = ( bits << 6 ) | base64Alphabet.indexOf( text.charAt( i ) );
+            bitCount += 6;
+            if ( bitCount >= 8 ) {
+                bitCount -= 8;
+                bytes[ pos++ ] = ( bits >> bitCount ) & 0xff;
+            }
+        }
+        return bytes;
+    }
+
+    /**
+     * @returns {String} the bytes decoded as UTF-8 text
+     * */
+    function decodeText( bytes ) {
+        if ( typeof TextDecoder !== "undefined" ) {
+            return new TextDecoder( "utf-8" ).decode( bytes );
+        }
+        var chars = [];
+        for ( var i = 0; i < bytes.length; i++ ) {
+            chars.push( String.fromCharCode( bytes[i] ) );
+        }
+        return decodeURIComponent( escape( chars.join( "" ) ) );
+    }
+
+    /**
+     * Multiplies two column-major 4x4 matrices, as stored in glTF files.
+     * */
+    function gltfMultiply( a, b ) {
+        var result = new Array( 16 );
+        for ( var col = 0; col < 4; col++ ) {
+            for ( var row = 0; row < 4; row++ ) {
+                var sum = 0;
+                for ( var k = 0; k < 4; k++ ) {
+                    sum += a[ k*4 + row ] * b[ col*4 + k ];
+                }
+                result[ col*4 + row ] = sum;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * @returns {Array} the local transform of the node, from its matrix, or its translation, rotation and scale
+     * */
+    function gltfNodeMatrix( node ) {
+        if ( node.matrix !== undefined ) {
+            return node.matrix.slice();
+        }
+        var t = node.translation || [ 0, 0, 0 ];
+        var q = node.rotation || [ 0, 0, 0, 1 ];
+        var s = node.scale || [ 1, 1, 1 ];
+        var x = q[0], y = q[1], z = q[2], w = q[3];
+        return [
+            ( 1 - 2*(y*y + z*z) ) * s[0], ( 2*(x*y + z*w) ) * s[0], ( 2*(x*z - y*w) ) * s[0], 0,
+            ( 2*(x*y - z*w) ) * s[1], ( 1 - 2*(x*x + z*z) ) * s[1], ( 2*(y*z + x*w) ) * s[1], 0,
+            ( 2*(x*z + y*w) ) * s[2], ( 2*(y*z - x*w) ) * s[2], ( 1 - 2*(x*x + y*y) ) * s[2], 0,
+            t[0], t[1], t[2], 1
+        ];
+    }
+
+    /**
+     * @class The state of reading one glTF asset: the parsed JSON, and the binary buffers.
+     *
+     * @param {Object} reader the BufferView object the file is read from, for reporting errors
+     * @param {Object} json the parsed JSON of the file
+     * @param {Uint8Array} binary the binary chunk of a GLB file, or null
+     * */
+    var GLTFAsset = function( reader, json, binary ) {
+        this.reader = reader;
+        this.json = json;
+        this.binary = binary;
+        this.buffers = [];
+    };
+
+    GLTFAsset.prototype.error = function( message ) {
+        return this.reader.error( message, null );
+    };
+
+    /**
+     * @returns {Uint8Array} the contents of the buffer. Only the GLB binary chunk and data URIs are supported.
+     * */
+    GLTFAsset.prototype.buffer = function( index ) {
+        if ( this.buffers[index] !== undefined ) {
+            return this.buffers[index];
+        }
+        var buffer = ( this.json.buffers || [] )[index];
+        if ( buffer === undefined ) {
+            throw this.error( "there is no buffer " + index );
+        }
+        var data;
+        if ( buffer.uri === undefined ) {
+            if ( this.binary === null ) {
+                throw this.error( "buffer " + index + " has no data" );
+            }
+            data = this.binary;
+        } else if ( buffer.uri.indexOf( "data:" ) === 0 ) {
+            var comma = buffer.uri.indexOf( "," );
+            if ( buffer.uri.substring( 0, comma ).indexOf( ";base64" ) === -1 ) {
+                throw this.error( "buffer " + index + " has a data URI which isn't base64 encoded" );
+            }
+            data = decodeBase64( buffer.uri.substring( comma + 1 ) );
+        } else {
+            throw this.error( "buffer " + index + " refers to the external file " + buffer.uri +
+                ", only embedded buffers are supported" );
+        }
+        if ( data.length < buffer.byteLength ) {
+            throw this.error( "buffer " + index + " is shorter than its byteLength" );
+        }
+        this.buffers[index] = data;
+        return data;
+    };
+
+    /**
+     * Reads the values of an accessor. Normalized integers are scaled to [0, 1] or [-1, 1].
+     *
+     * @param {Number} index the index of the accessor
+     * @param {Function} ArrayType optional, the typed array to read the values into, Float32Array by default
+     * @returns {Object} an object containing the values field, the components of the elements one after another,
+     * the size field, the number of components in an element, and the count field, the number of elements
+     * */
+    GLTFAsset.prototype.accessor = function( index, ArrayType ) {
+        var accessor = ( this.json.accessors || [] )[index];
+        if ( accessor === undefined ) {
+            throw this.error( "there is no accessor " + index );
+        }
+        var size = gltfTypeSizes[ accessor.type ];
+        var component = gltfComponentTypes[ accessor.componentType ];
+        if ( size === undefined || component === undefined ) {
+            throw this.error( "accessor " + index + " has an unknown type" );
+        }
+        if ( accessor.sparse !== undefined ) {
+            throw this.error( "accessor " + index + " is sparse, which isn't supported" );
+        }
+        var result = { values: null, size: size, count: accessor.count };
+        if ( accessor.bufferView === undefined ) {
+            //an accessor without a buffer view is all zeros
+            result.values = new ( ArrayType || Float32Array )( accessor.count * size );
+            return result;
+        }
+        var view = ( this.json.bufferViews || [] )[ accessor.bufferView ];
+        if ( view === undefined ) {
+            throw this.error( "accessor " + index + " refers to the missing buffer view " + accessor.bufferView );
+        }
+        var data = this.buffer( view.buffer );
+        var stride = view.byteStride || size * component.size;
+        var start = ( view.byteOffset || 0 ) + ( accessor.byteOffset || 0 );
+        if ( accessor.count > 0 && start + stride * ( accessor.count - 1 ) + size * component.size > data.length ) {
+            throw this.error( "accessor " + index + " reads past the end of its buffer" );
+        }
+        var values = new ( ArrayType || Float32Array )( accessor.count * size );
+        var dataView = new DataView( data.buffer, data.byteOffset, data.byteLength );
+        var scale = accessor.normalized ? 1 / component.max : 1;
+        for ( var i = 0; i < accessor.count; i++ ) {
+            var offset = start + i * stride;
+            for ( var j = 0; j < size; j++ ) {
+                values[ i*size + j ] = dataView[ component.getter ]( offset + j * component.size, true ) * scale;
+            }
+        }
+        result.values = values;
+        return result;
+    };
+
+    /**
+     * Adds the triangles of a mesh primitive to the target, transformed by the world matrix of its node.
+     * */
+    GLTFAsset.prototype.addPrimitive = function( primitive, matrix, target ) {
+        var mode = primitive.mode === undefined ? 4 : primitive.mode;
+        if ( mode !== 4 && mode !== 5 && mode !== 6 ) {
+            //points and lines have no surface
+            return;
+        }
+        if ( primitive.attributes.POSITION === undefined ) {
+            throw this.error( "a mesh primitive has no POSITION attribute" );
+        }
+        var positions = this.accessor( primitive.attributes.POSITION );
+        var normals = primitive.attributes.NORMAL !== undefined ? this.accessor( primitive.attributes.NORMAL ) : null;
+        var colors = primitive.attributes.COLOR_0 !== undefined ? this.accessor( primitive.attributes.COLOR_0 ) : null;
+        var vertexCount = positions.count;
+        var indices;
+        if ( primitive.indices !== undefined ) {
+            indices = this.accessor( primitive.indices, Uint32Array ).values;
+            for ( var i = 0; i < indices.length; i++ ) {
+                if ( indices[i] >= vertexCount ) {
+                    throw this.error( "a mesh primitive refers to vertex " + indices[i] + ", but it has " +
+                        vertexCount + " vertices" );
+                }
+            }
+        } else {
+            indices = new Uint32Array( vertexCount );
+            for ( var i = 0; i < vertexCount; i++ ) {
+                indices[i] = i;
+            }
+        }
+
+        // the normals are transformed by the cofactor matrix of the upper 3x3 part, which is the inverse
+        // transpose scaled by the determinant, so the sign of the determinant is divided out again
+        var m = matrix;
+        var cofactor = [
+            m[5]*m[10] - m[6]*m[9], m[6]*m[8] - m[4]*m[10], m[4]*m[9] - m[5]*m[8],
+            m[2]*m[9] - m[1]*m[10], m[0]*m[10] - m[2]*m[8], m[1]*m[8] - m[0]*m[9],
+            m[1]*m[6] - m[2]*m[5], m[2]*m[4] - m[0]*m[6], m[0]*m[5] - m[1]*m[4]
+        ];
+        var determinant = m[0]*cofactor[0] + m[1]*cofactor[1] + m[2]*cofactor[2];
+        //a mirroring transform turns the triangles inside out, so flip their winding back
+        var flip = determinant < 0;
+
+        var offset = target["v"].length / 3;
+        for ( var i = 0; i < vertexCount; i++ ) {
+            var p = positions.values;
+            var k = 3*i;
+            target["v"].push( m[0]*p[k] + m[4]*p[k+1] + m[8]*p[k+2] + m[12] );
+            target["v"].push( m[1]*p[k] + m[5]*p[k+1] + m[9]*p[k+2] + m[13] );
+            target["v"].push( m[2]*p[k] + m[6]*p[k+1] + m[10]*p[k+2] + m[14] );
+            //primitives without normals or colors get zeros, which are only kept if every primitive has them
+            if ( normals !== null ) {
+                var n = normals.values;
+                var x = cofactor[0]*n[k] + cofactor[3]*n[k+1] + cofactor[6]*n[k+2];
+                var y = cofactor[1]*n[k] + cofactor[4]*n[k+1] + cofactor[7]*n[k+2];
+                var z = cofactor[2]*n[k] + cofactor[5]*n[k+1] + cofactor[8]*n[k+2];
+                var length = ( Math.sqrt( x*x + y*y + z*z ) || 1 ) * ( flip ? -1 : 1 );
+                target["vn"].push( x / length );
+                target["vn"].push( y / length );
+                target["vn"].push( z / length );
+            } else {
+                target["vn"].pushAll( [ 0, 0, 0 ] );
+            }
+            if ( colors !== null ) {
+                target["colors"].pushAll( colors.values.subarray( i * colors.size, i * colors.size + 3 ) );
+            } else {
+                target["colors"].pushAll( [ 0, 0, 0 ] );
+            }
+        }
+        target.primitives++;
+        target.primitivesWithNormals += normals !== null ? 1 : 0;
+        target.primitivesWithColors += colors !== null ? 1 : 0;
+
+        var addTriangle = function( a, b, c ) {
+            target["f"].push( offset + a );
+            target["f"].push( offset + ( flip ? c : b ) );
+            target["f"].push( offset + ( flip ? b : c ) );
+        };
+        if ( mode === 4 ) {
+            for ( var i = 0; i + 2 < indices.length; i += 3 ) {
+                addTriangle( indices[i], indices[i+1], indices[i+2] );
+            }
+        } else if ( mode === 5 ) {
+            //every other triangle of a strip is wound the other way
+            for ( var i = 0; i + 2 < indices.length; i++ ) {
+                if ( i % 2 === 0 ) {
+                    addTriangle( indices[i], indices[i+1], indices[i+2] );
+                } else {
+                    addTriangle( indices[i+1], indices[i], indices[i+2] );
+                }
+            }
+        } else {
+            for ( var i = 1; i + 1 < indices.length; i++ ) {
+                addTriangle( indices[0], indices[i], indices[i+1] );
+            }
+        }
+    };
+
+    /**
+     * Adds the meshes of the node and its children to the target.
+     * */
+    GLTFAsset.prototype.addNode = function( index, parentMatrix, target, depth ) {
+        var node = ( this.json.nodes || [] )[index];
+        if ( node === undefined ) {
+            throw this.error( "there is no node " + index );
+        }
+        if ( depth > 64 ) {
+            throw this.error( "the node hierarchy is too deep, or has a cycle" );
+        }
+        var matrix = gltfMultiply( parentMatrix, gltfNodeMatrix( node ) );
+        if ( node.mesh !== undefined ) {
+            var mesh = ( this.json.meshes || [] )[ node.mesh ];
+            if ( mesh === undefined ) {
+                throw this.error( "node " + index + " refers to the missing mesh " + node.mesh );
+            }
+            for ( var i = 0; i < mesh.primitives.length; i++ ) {
+                this.addPrimitive( mesh.primitives[i], matrix, target );
+            }
+        }
+        var children = node.children || [];
+        for ( var i = 0; i < children.length; i++ ) {
+            this.addNode( children[i], matrix, target, depth + 1 );
+        }
+    };
+
+    var gltfIdentity = [ 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1 ];
+
+    /**
+     * Parses a glTF 2.0 file, either the JSON .gltf with embedded buffers, or the binary .glb. The meshes of the
+     * default scene are merged into one, with the node transforms applied. If there is no scene, every mesh
+     * is used as it is.
+     *
+     * @param {Object} reader the BufferView object to read the file from
+     * @returns {Object} an object containing the "v", "vn", "f", and "colors" typed arrays, in the same form as
+     * the OFF parser returns
+     * */
+    function parseGLTF( reader ) {
+        var json;
+        var binary = null;
+        var bytes = reader.buffer;
+        if ( reader.size() >= 12 && bytes[0] === 0x67 && bytes[1] === 0x6c && bytes[2] === 0x54 && bytes[3] === 0x46 ) {
+            reader.text = false;
+            reader.isLittleEndian( true );
+            reader.seek( 4 );
+            var version = reader.getUint32();
+            if ( version !== 2 ) {
+                throw reader.error( "only version 2 GLB files are supported", 4 );
+            }
+            var length = Math.min( reader.getUint32(), reader.size() );
+            var jsonText = null;
+            while ( reader.tell() + 8 <= length ) {
+                var chunkLength = reader.getUint32();
+                var chunkType = reader.getUint32();
+                var start = reader.tell();
+                if ( start + chunkLength > reader.size() ) {
+                    throw reader.error( "unexpected end of file in a GLB chunk", start - 8 );
+                }
+                if ( chunkType === 0x4e4f534a ) {
+                    jsonText = decodeText( bytes.subarray( start, start + chunkLength ) );
+                } else if ( chunkType === 0x004e4942 && binary === null ) {
+                    binary = bytes.subarray( start, start + chunkLength );
+                }
+                reader.seek( start + chunkLength );
+            }
+            if ( jsonText === null ) {
+                throw reader.error( "the GLB file has no JSON chunk", null );
+            }
+            json = parseGLTFJSON( reader, jsonText );
+        } else {
+            json = parseGLTFJSON( reader, decodeText( bytes ) );
+        }
+        if ( !json.asset || typeof json.asset.version !== "string" || json.asset.version.charAt( 0 ) !== "2" ) {
+            throw reader.error( "only glTF 2.0 files are supported", null );
+        }
+
+        var asset = new GLTFAsset( reader, json, binary );
+        var target = {
+            "v": new ArrayBuilder( Float32Array ),
+            "vn": new ArrayBuilder( Float32Array ),
+            "f": new ArrayBuilder( Uint32Array ),
+            "colors": new ArrayBuilder( Float32Array ),
+            primitives: 0, primitivesWithNormals: 0, primitivesWithColors: 0
+        };
+        var scenes = json.scenes || [];
+        var scene = scenes[ json.scene !== undefined ? json.scene : 0 ];
+        if ( scene !== undefined ) {
+            var nodes = scene.nodes || [];
+            for ( var i = 0; i < nodes.length; i++ ) {
+                asset.addNode( nodes[i], gltfIdentity, target, 0 );
+            }
+        } else {
+            var meshes = json.meshes || [];
+            for ( var i = 0; i < meshes.length; i++ ) {
+                for ( var j = 0; j < meshes[i].primitives.length; j++ ) {
+                    asset.addPrimitive( meshes[i].primitives[j], gltfIdentity, target );
+                }
+            }
+        }
+        if ( target["f"].length === 0 ) {
+            throw reader.error( "the file has no triangles", null );
+        }
+        return {
+            "v": target["v"].toArray(),
+            "vn": target.primitivesWithNormals === target.primitives ? target["vn"].toArray() : new Float32Array( 0 ),
+            "f": target["f"].toArray(),
+            "colors": target.primitivesWithColors === target.primitives ?
+                target["colors"].toArray() : new Float32Array( 0 )
+        };
+    }
+
+    function parseGLTFJSON( reader, text ) {
+        try {
+            return JSON.parse( text );
+        } catch ( err ) {
+            throw reader.error( "invalid JSON: " + err.message, null );
+        }
+    }
+
+    module.parseGLTF = function( buffer, onprogress ) {
+        var reader = new BufferView( buffer );
+        reader.onprogress = onprogress || null;
+        reader.format = "gltf";
+        var model = parseGLTF( reader );
+        reader.seek( reader.size() );
+        reader.progress();
+        return model;
+    };
+
+    ////////////////////////////////////////////////////////////////////////////////
+    // STL parser methods & prototypes
+    ////////////////////////////////////////////////////////////////////////////////
+
+    function parseAsciiSTL( reader, target ) {
+        parseSTLSolid( reader, target );
+    }
+
+    /**
+     * Reads the next line of an ASCII STL file, and checks that it starts with the expected keywords,
+     * followed by the given number of numbers. Throws a ParseError otherwise.
+     *
+     * @param {Object} reader the BufferView object to read from
+     * @param {Array} keywords the words the line should begin with, such as [ "facet", "normal" ]
+     * @param {Number} numbers the number of numbers following the keywords
+     * @returns {Array} the tokens of the line
+     * */
+    function readSTLLine( reader, keywords, numbers ) {
+        var line = "";
+        while ( line === "" ) {
+            if ( reader.tell() >= reader.end() ) {
+                throw reader.error( "unexpected end of file, expected '" + keywords.join( " " ) + "'" );
+            }
+            line = reader.readLine().trim();
+        }
+        var tokens = line.split(/\s+/);
+        for ( var i = 0; i < keywords.length; i++ ) {
+            if ( tokens[i] !== keywords[i] ) {
+                throw reader.error( "expected '" + keywords.join( " " ) + "', got '" + line + "'", reader.lineOffset );
+            }
+        }
+        parseNumbers( reader, tokens.slice( keywords.length - 1 ), numbers, keywords.join( " " ) );
+        return tokens;
+    }
+
+    function parseSTLSolid( reader, target ) {
+        reader.readLine();  //get rid of "solid <name>"
+        while( reader.peekToken() === "facet" ) {
+            parseSTLFacet( reader, target );
+            reader.progress();
+        }
+        var token = reader.peekToken();
+        if ( token !== "endsolid" ) {
+            throw reader.error( "expected 'facet' or 'endsolid', got '" + token + "'", reader.tokenOffset );
+        }
+    }
+
+    function parseSTLFacet( reader, target ) {
+        var tokens = readSTLLine( reader, [ "facet", "normal" ], 3 );
+        var normals = target["vn"];
+        for ( var i = 0; i < 3; i++ ) {
+            normals.push( parseFloat(tokens[2]) );
+            normals.push( parseFloat(tokens[3]) );
+            normals.push( parseFloat(tokens[4]) );
+        }
+        parseSTLLoop( reader, target );
+        readSTLLine( reader, [ "endfacet" ], 0 );
+    }
+
+    function parseSTLLoop( reader, target ) {
+        var vertices = target["v"];
+        readSTLLine( reader, [ "outer", "loop" ], 0 );
+        for ( var i = 0; i < 3; i++ ) {
+            var tokens = readSTLLine( reader, [ "vertex" ], 3 );
+            vertices.push( parseFloat(tokens[1]) );
+            vertices.push( parseFloat(tokens[2]) );
+            vertices.push( parseFloat(tokens[3]) );
+        }
+        readSTLLine( reader, [ "endloop" ], 0 );
+    }
+
+    function parseBinarySTL( reader, target ) {
+        var verts = target["v"];
+        var norms = target["vn"];
+        reader.text = false;
+        if ( reader.size() < 84 ) {
+            throw reader.error( "the file is too short to be a binary STL file", 0 );
+        }
+        reader.seek( 80 );
+        var tris = reader.getUint32();
+        if ( 84 + 50 * tris > reader.size() ) {
+            throw reader.error( "the header says there are " + tris + " triangles, but the file only has room for " +
+                Math.floor( ( reader.size() - 84 ) / 50 ), 80 );
+        }
+
+        for ( var i = 0; i < tris; i++ ) {
+            var nx = reader.getFloat32();
+            var ny = reader.getFloat32();
+            var nz = reader.getFloat32();
+            for ( var j = 0; j < 3; j++ ) {
+                norms.push( nx );
+                norms.push( ny );
+                norms.push( nz );
+            }
+
+            for ( var j = 0; j < 9; j++ ) {
+                verts.push( reader.getFloat32() );
+            }
+
+            //get rid of the attribute count
+            reader.getUint16();
+            reader.progress();
+        }
+    }
+
+    /**
+     * @brief Parse an ASCII or binary STL file.
+     * @param {Uint8Array} buffer the contents of the file
+     * @param {Function} onprogress optional, function( bytesRead, bytesTotal )
+     * @returns {Object} an object containing the "v" and "vn" Float32Arrays: the coordinates of the three corners of
+     * each triangle one after another, and the facet normal of each triangle, repeated for each corner
+     * */
+    module.parseSTL = function( buffer, onprogress ) {
+
+        var reader = new BufferView( buffer, 0, true );
+        reader.onprogress = onprogress || null;
+        reader.format = "stl";
+        var model = { v: new ArrayBuilder( Float32Array ), vn: new ArrayBuilder( Float32Array ) };
+        //figure out if binary or ascii STL. Some binary files begin with "solid" too, so trust the size first.
+        var binarySize = false;
+        if ( reader.size() >= 84 ) {
+            reader.seek( 80 );
+            binarySize = 84 + 50 * reader.getUint32() === reader.size();
+            reader.seek( 0 );
+        }
+        var token = reader.size() > 0 ? reader.peekToken() : "";
+        if ( token === "solid" && !binarySize ) {
+            parseAsciiSTL( reader, model );
+        } else {
+            parseBinarySTL( reader, model );
+        }
+
+        return { v: model.v.toArray(), vn: model.vn.toArray() };
+    };
+
+    module.io.loadSTL = function( file, onload ) {
+        var loader = function( data ) {
+            var buffer = module.io.decompress( new Uint8Array( data ) );
+            var model = module.parseSTL( buffer );
+            if ( typeof(onload) != "undefined" ) {
+                onload( model );
+            }
+        };
+        module.io.loadFile( file, loader );
+    };
+
+    /**
+     * @param {Float32Array} v the vertex coordinates, three for each vertex
+     * @param {Uint32Array} tris the triangle indices, three for each triangle
+     * @param {Number} i the index of the first corner of the triangle
+     * @returns {Array} the normalized face normal of the triangle
+     * */
+    function triangleNormal( v, tris, i ) {
+        var i0 = 3 * tris[i], i1 = 3 * tris[i+1], i2 = 3 * tris[i+2];
+        var ax = v[i1] - v[i0], ay = v[i1+1] - v[i0+1], az = v[i1+2] - v[i0+2];
+        var bx = v[i2] - v[i0], by = v[i2+1] - v[i0+1], bz = v[i2+2] - v[i0+2];
+        var nx = ay*bz - az*by;
+        var ny = az*bx - ax*bz;
+        var nz = ax*by - ay*bx;
+        var length = Math.sqrt( nx*nx + ny*ny + nz*nz );
+        if ( length === 0.0 ) {
+            return [ 0.0, 0.0, 0.0 ];
+        }
+        return [ nx / length, ny / length, nz / length ];
+    }
+
+    /**
+     * @brief Write the mesh cache of a viewer as an STL file. The facet normals are calculated from the triangles.
+     *
+     * @param {Object} meshCache the mesh cache, containing the wrappedVertex and index fields
+     * @param {String} format "binary" (by default), or "ascii"
+     * @returns {ArrayBuffer} the contents of the file
+     * @throws {SaveError} if the mesh has no indexed vertex data
+     * */
+    module.writeSTL = function( meshCache, format ) {
+        if ( typeof(format) === "undefined" ) {
+            format = "binary";
+        }
+        var v = meshCache.wrappedVertex;
+        var index = meshCache.index;
+        if ( v === undefined || v.length === 0 ) {
+            throw new module.io.SaveError( "data", "writeSTL: the mesh has no indexed vertex data", { format: "stl" } );
+        }
+        var tris = index.length / 3;
+
+        if ( format === "ascii" ) {
+            var lines = [ "solid morphoviewer\n" ];
+            for ( var i = 0; i < index.length; i += 3 ) {
+                var n = triangleNormal( v, index, i );
+                lines.push( "facet normal " + n[0] + " " + n[1] + " " + n[2] + "\n" );
+                lines.push( "outer loop\n" );
+                for ( var j = i; j < i + 3; j++ ) {
+                    var k = 3 * index[j];
+                    lines.push( "vertex " + v[k] + " " + v[k+1] + " " + v[k+2] + "\n" );
+                }
+                lines.push( "endloop\n" );
+                lines.push( "endfacet\n" );
+            }
+            lines.push( "endsolid morphoviewer\n" );
+            return asciiToBytes( lines.join( "" ) ).buffer;
+        }
+
+        // an 80 byte header, the triangle count, and then 50 bytes per triangle
+        var result = new ArrayBuffer( 84 + 50 * tris );
+        new Uint8Array( result ).set( asciiToBytes( "binary STL written by morphoviewer" ) );
+        var view = new DataView( result );
+        view.setUint32( 80, tris, true );
+        var offset = 84;
+        for ( var i = 0; i < index.length; i += 3 ) {
+            var n = triangleNormal( v, index, i );
+            view.setFloat32( offset, n[0], true );
+            view.setFloat32( offset + 4, n[1], true );
+            view.setFloat32( offset + 8, n[2], true );
+            offset += 12;
+            for ( var j = i; j < i + 3; j++ ) {
+                var k = 3 * index[j];
+                view.setFloat32( offset, v[k], true );
+                view.setFloat32( offset + 4, v[k+1], true );
+                view.setFloat32( offset + 8, v[k+2], true );
+                offset += 12;
+            }
+            //the attribute byte count is left at zero
+            offset += 2;
+        }
+        return result;
     };
 
     ////////////////////////////////////////////////////////////////////////////////
-    // CSV point cloud parser methods & prototypes
-    ////////////////////////////////////////////////////////////////////////////////
+    // CSV point cloud parser methods & prototypes
+    ////////////////////////////////////////////////////////////////////////////////
+
+    //the delimiters tried when sniffing a point cloud file, " " standing for any run of whitespace
+    var csvDelimiters = [ ",", "\t", ";", " " ];
+
+    //the column names recognized in a header row, for each field of the column mapping
+    var csvColumnNames = {
+        x: [ "x" ], y: [ "y" ], z: [ "z" ],
+        nx: [ "nx", "normal_x", "normalx" ], ny: [ "ny", "normal_y", "normaly" ], nz: [ "nz", "normal_z", "normalz" ],
+        r: [ "r", "red" ], g: [ "g", "green" ], b: [ "b", "blue" ]
+    };
+
+    var csvNumber = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$|^[+-]?(nan|inf|infinity)$/i;
+
+    /**
+     * @returns {Boolean} true for blank lines, and comment lines beginning with # or //
+     * */
+    function isCSVComment( line ) {
+        var trimmed = line.trim();
+        return trimmed === "" || trimmed.charAt( 0 ) === "#" || trimmed.substring( 0, 2 ) === "//";
+    }
+
+    /**
+     * @returns {Array} the trimmed fields of the line, without a trailing empty field
+     * */
+    function splitCSVLine( line, delimiter ) {
+        var tokens = delimiter === " " ? line.trim().split( /\s+/ ) : line.split( delimiter );
+        for ( var i = 0; i < tokens.length; i++ ) {
+            tokens[i] = tokens[i].trim();
+        }
+        if ( tokens.length > 1 && tokens[ tokens.length - 1 ] === "" ) {
+            tokens.pop();
+        }
+        return tokens;
+    }
+
+    function allNumbers( tokens ) {
+        for ( var i = 0; i < tokens.length; i++ ) {
+            if ( !csvNumber.test( tokens[i] ) ) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * @returns {Array} the lines in the first 64 kB of the data, without blank and comment lines. A line cut off
+     * at the end of the sample is left out.
+     * */
+    function sampleCSVLines( data ) {
+        var size = Math.min( data.length, 1 << 16 );
+        var chars = [];
+        for ( var i = 0; i < size; i++ ) {
+            chars.push( String.fromCharCode( data[i] ) );
+        }
+        var lines = chars.join( "" ).split( /\r\n|\r|\n/ );
+        if ( size < data.length ) {
+            lines.pop();
+        }
+        var result = [];
+        for ( var i = 0; i < lines.length; i++ ) {
+            if ( !isCSVComment( lines[i] ) ) {
+                result.push( lines[i] );
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Finds the layout of a point cloud file from a sample of its lines: the delimiter, and how many lines precede
+     * the points. Those can be a header row naming the columns, and a line giving the number of points, as in .pts
+     * files. The points must have the same number of columns, at least three, all of them numbers.
+     *
+     * @param {Array} lines the sampled lines, without blank and comment lines
+     * @param {String} delimiter optional, the delimiter to use instead of sniffing one
+     * @returns {Object} an object containing the delimiter, columns (the number of columns), skip (the number of
+     * lines before the points), and header (the header fields, or null) fields, or null if no layout fits
+     * */
+    function sniffCSV( lines, delimiter ) {
+        var candidates = delimiter !== undefined ? [ delimiter ] : csvDelimiters;
+        for ( var c = 0; c < candidates.length; c++ ) {
+            for ( var skip = 0; skip <= 2 && skip < lines.length; skip++ ) {
+                var columns = splitCSVLine( lines[skip], candidates[c] ).length;
+                if ( columns < 3 ) {
+                    continue;
+                }
+                var fits = true;
+                for ( var i = skip; i < lines.length && fits; i++ ) {
+                    var tokens = splitCSVLine( lines[i], candidates[c] );
+                    fits = tokens.length === columns && allNumbers( tokens );
+                }
+                if ( !fits ) {
+                    continue;
+                }
+                var header = null;
+                if ( skip > 0 ) {
+                    var previous = splitCSVLine( lines[ skip - 1 ], candidates[c] );
+                    if ( previous.length === columns && !allNumbers( previous ) ) {
+                        header = previous;
+                    }
+                }
+                return { delimiter: candidates[c], columns: columns, skip: skip, header: header };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * @returns {Object} the column mapping given by the header fields, or null if it doesn't name x, y and z
+     * */
+    function csvColumnsFromHeader( header ) {
+        var columns = {};
+        for ( var i = 0; i < header.length; i++ ) {
+            var name = header[i].replace( /^\/\/|["']/g, "" ).trim().toLowerCase();
+            for ( var field in csvColumnNames ) {
+                if ( csvColumnNames[field].indexOf( name ) !== -1 && columns[field] === undefined ) {
+                    columns[field] = i;
+                }
+            }
+        }
+        if ( columns.x === undefined || columns.y === undefined || columns.z === undefined ) {
+            return null;
+        }
+        return columns;
+    }
+
+    /**
+     * Guesses the column mapping of a file without a header from its first lines. The first three columns are the
+     * coordinates. A triplet of unit vectors after them are normals, and a triplet of integers in the range 0 to 255,
+     * either right after the coordinates or normals or after one more column (such as the intensity in .pts files),
+     * are colors.
+     * */
+    function guessCSVColumns( lines, layout ) {
+        var columns = { x: 0, y: 1, z: 2 };
+        var sample = [];
+        for ( var i = layout.skip; i < lines.length && sample.length < 100; i++ ) {
+            sample.push( splitCSVLine( lines[i], layout.delimiter ).map( parseFloat ) );
+        }
+        var isTriplet = function( first, test ) {
+            if ( first + 3 > layout.columns || sample.length === 0 ) {
+                return false;
+            }
+            for ( var i = 0; i < sample.length; i++ ) {
+                if ( !test( sample[i][first], sample[i][first+1], sample[i][first+2] ) ) {
+                    return false;
+                }
+            }
+            return true;
+        };
+        var isNormal = function( x, y, z ) {
+            return Math.abs( x*x + y*y + z*z - 1.0 ) < 1e-2;
+        };
+        var isColor = function( r, g, b ) {
+            return [ r, g, b ].every( function( value ) {
+                return value === Math.floor( value ) && value >= 0 && value <= 255;
+            } );
+        };
+        var next = 3;
+        if ( isTriplet( next, isNormal ) ) {
+            columns.nx = 3;
+            columns.ny = 4;
+            columns.nz = 5;
+            next = 6;
+        }
+        for ( var first = next; first <= next + 1; first++ ) {
+            if ( isTriplet( first, isColor ) ) {
+                columns.r = first;
+                columns.g = first + 1;
+                columns.b = first + 2;
+                break;
+            }
+        }
+        return columns;
+    }
+
+    /**
+     * @returns {Object} the column mapping option as an object from field names to column indices. An array
+     * names the field of each column, with null or an unknown name for the ignored columns.
+     * */
+    function csvColumnsFromOption( option ) {
+        if ( !Array.isArray( option ) ) {
+            return option;
+        }
+        var columns = {};
+        for ( var i = 0; i < option.length; i++ ) {
+            if ( option[i] !== null && csvColumnNames[ option[i] ] !== undefined ) {
+                columns[ option[i] ] = i;
+            }
+        }
+        return columns;
+    }
+
+    /**
+     * Parses a point cloud with one point per line. See module.parseCSV for the options.
+     *
+     * @returns {Object} an object containing the "points", "normals" and "colors" Float32Arrays, with three values
+     * per point, the latter two being empty if the file has no such columns, and the "columns" mapping used
+     * */
+    function parseCSV( reader, options ) {
+        var lines = sampleCSVLines( reader.buffer );
+        var layout = sniffCSV( lines, options.delimiter );
+        if ( layout === null ) {
+            //use the layout of the longest run of good lines, so that the error points at the first bad line
+            var good = 0, bad = lines.length;
+            while ( bad - good > 1 ) {
+                var middle = Math.floor( ( good + bad ) / 2 );
+                if ( sniffCSV( lines.slice( 0, middle ), options.delimiter ) !== null ) {
+                    good = middle;
+                } else {
+                    bad = middle;
+                }
+            }
+            layout = good > 0 ? sniffCSV( lines.slice( 0, good ), options.delimiter ) : null;
+        }
+        if ( layout === null ) {
+            throw reader.error( "expected lines of at least three numbers separated by " +
+                ( options.delimiter !== undefined ? "'" + options.delimiter + "'" : "commas, tabs, semicolons or spaces" ),
+                null );
+        }
+        var columns;
+        if ( options.columns !== undefined ) {
+            columns = csvColumnsFromOption( options.columns );
+        } else if ( layout.header !== null && csvColumnsFromHeader( layout.header ) !== null ) {
+            columns = csvColumnsFromHeader( layout.header );
+        } else {
+            columns = guessCSVColumns( lines, layout );
+        }
+        var fields = [ "x", "y", "z" ];
+        if ( columns.x === undefined || columns.y === undefined || columns.z === undefined ) {
+            throw reader.error( "the column mapping must have the x, y and z columns", null );
+        }
+        var hasNormals = columns.nx !== undefined && columns.ny !== undefined && columns.nz !== undefined;
+        var hasColors = columns.r !== undefined && columns.g !== undefined && columns.b !== undefined;
+        if ( hasNormals ) {
+            fields.push( "nx", "ny", "nz" );
+        }
+        if ( hasColors ) {
+            fields.push( "r", "g", "b" );
+        }
 
-    function parseCSV( delimiter ) {
-        var model = { "points": [] };
-        var points = model["points"];
-        while ( BufferView.tell() < BufferView.end() ) {
-            var line = BufferView.readLine();
-            var tokens = line.split( delimiter );
-            points.push([
-                parseFloat( tokens[0] ),
-                parseFloat( tokens[1] ),
-                parseFloat( tokens[2] )
-            ]);
+        //readLine turns tabs into spaces, which doesn't matter for the points, since their fields are just numbers
+        var delimiter = layout.delimiter === "\t" ? " " : layout.delimiter;
+        var points = new ArrayBuilder( Float32Array );
+        var normals = new ArrayBuilder( Float32Array );
+        var colors = new ArrayBuilder( Float32Array );
+        var skipped = 0;
+        while ( reader.tell() < reader.end() ) {
+            var line = reader.readLine();
+            reader.progress();
+            if ( isCSVComment( line ) ) {
+                continue;
+            }
+            if ( skipped < layout.skip ) {
+                skipped++;
+                continue;
+            }
+            var tokens = splitCSVLine( line, delimiter );
+            var values = {};
+            for ( var i = 0; i < fields.length; i++ ) {
+                var token = tokens[ columns[ fields[i] ] ];
+                if ( token === undefined ) {
+                    throw reader.error( "expected a " + fields[i] + " value in column " + ( columns[ fields[i] ] + 1 ) +
+                        ", but the line only has " + tokens.length + " columns", reader.lineOffset );
+                }
+                if ( !csvNumber.test( token ) ) {
+                    throw reader.error( "expected a number for " + fields[i] + ", got '" + token + "'", reader.lineOffset );
+                }
+                values[ fields[i] ] = parseFloat( token );
+            }
+            points.push( values.x );
+            points.push( values.y );
+            points.push( values.z );
+            if ( hasNormals ) {
+                normals.push( values.nx );
+                normals.push( values.ny );
+                normals.push( values.nz );
+            }
+            if ( hasColors ) {
+                colors.push( values.r );
+                colors.push( values.g );
+                colors.push( values.b );
+            }
         }
+        var model = {
+            "points": points.toArray(),
+            "normals": normals.toArray(),
+            "colors": colors.toArray(),
+            "columns": columns
+        };
+        normalizeColors( model["colors"] );
         return model;
     }
 
-    module.parseCSV = function( buffer, delimiter ) {
-        if ( typeof(delimiter) === "undefined" ) {
-            delimiter = ",";
+    /**
+     * @brief Parse a point cloud file, such as .csv, .xyz or .pts, with one point per line.
+     *
+     * The delimiter and the number of lines before the points are detected from the first lines of the file.
+     * Commas, tabs, semicolons and whitespace are recognized as delimiters. Blank lines and lines beginning with
+     * # or // are skipped. A header row naming the columns (x, y, z, nx, ny, nz, and r, g, b or red, green, blue) is
+     * used as the column mapping. Without one, the columns are guessed, see guessCSVColumns.
+     *
+     * @param {Uint8Array} buffer the contents of the file
+     * @param {Object|String} options optional, either the delimiter, or an object containing any of the fields
+     * delimiter (a string, " " matching any whitespace) and columns, the column mapping. The mapping is either an object from the field names "x", "y", "z", "nx", "ny",
+     * "nz", "r", "g", "b" to column indices, or an array with the field name of each column.
+     * @param {Function} onprogress optional, function( bytesRead, bytesTotal )
+     * @returns {Object} an object containing the "points", "normals" and "colors" Float32Arrays, three values per
+     * point, and the "columns" mapping. The colors are in the range [0, 1].
+     * */
+    module.parseCSV = function( buffer, options, onprogress ) {
+        if ( typeof(options) === "string" ) {
+            options = { delimiter: options };
         }
-        BufferView( buffer );
-        var model = parseCSV( delimiter );
+        var reader = new BufferView( buffer );
+        reader.onprogress = onprogress || null;
+        reader.format = "csv";
+        var model = parseCSV( reader, options || {} );
         return model;
     };
 
     /**
      * @param {String} file the name of the file to be loaded
      * @param {Function} onload the function to be executed once the file has been received
-     * @param {String} delimiter the separator used in the file, set to comma by default */
-    module.io.loadCSV = function( file, onload, delimiter ) {
-        if ( typeof(delimiter) !== "undefined" ) {
-            delimiter = ",";
-        }
+     * @param {Object|String} options optional, the delimiter or the options of module.parseCSV. By default the
+     * delimiter and columns are detected from the file. */
+    module.io.loadCSV = function( file, onload, options ) {
         var loader  =function( data ) {
-            var buffer = new Uint8Array( data );
-            var model = module.parseCSV( buffer, delimiter );
+            var buffer = module.io.decompress( new Uint8Array( data ) );
+            var model = module.parseCSV( buffer, options );
 
             if ( typeof(onload) != "undefined" ) {
                 onload( model );
             }
         };
-        loadFile( file, loader );
+        module.io.loadFile( file, loader );
+    };
+
+    var writers = {
+        "ply": function( meshCache ) { return module.writePLY( meshCache, "binary" ); },
+        "ply-ascii": function( meshCache ) { return module.writePLY( meshCache, "ascii" ); },
+        "stl": function( meshCache ) { return module.writeSTL( meshCache, "binary" ); },
+        "stl-ascii": function( meshCache ) { return module.writeSTL( meshCache, "ascii" ); },
+        "obj": function( meshCache ) { return module.writeOBJ( meshCache ); }
+    };
+
+    /**
+     * @brief Write a mesh cache into a file of the given format.
+     *
+     * @param {String} format "ply", "ply-ascii", "stl", "stl-ascii", or "obj"
+     * @param {Object} meshCache the mesh cache of a viewer
+     * @param {Boolean} asBlob if true, a Blob is returned instead of an ArrayBuffer
+     * @returns {ArrayBuffer|Blob} the contents of the file
+     * @throws {SaveError} if the format is unknown, or the mesh has nothing to write
+     * */
+    module.io.save = function( format, meshCache, asBlob ) {
+        var writer = writers[format];
+        if ( writer === undefined ) {
+            throw new module.io.SaveError( "format", "io.save: unknown format " + format, { format: format } );
+        }
+        var data = writer( meshCache );
+        if ( asBlob ) {
+            return new Blob( [ data ], { type: format === "obj" ? "text/plain" : "application/octet-stream" } );
+        }
+        return data;
+    };
+
+    /**
+     * @brief Get the contents of a file, wherever it comes from.
+     * @param {String|ArrayBuffer|Uint8Array|Blob} source a URL, the file contents, or a Blob (such as a File object)
+     * @returns {Promise} resolves with the contents as a Uint8Array, or rejects with a LoadError
+     * */
+    module.io.readSource = function( source ) {
+        return new Promise( function( resolve, reject ) {
+            if ( typeof(source) === "string" ) {
+                module.io.loadFile( source, function( data ) { resolve( new Uint8Array( data ) ); }, reject );
+            } else if ( source instanceof ArrayBuffer ) {
+                resolve( new Uint8Array( source ) );
+            } else if ( source instanceof Uint8Array ) {
+                resolve( source );
+            } else if ( typeof Blob !== "undefined" && source instanceof Blob ) {
+                var reader = new FileReader();
+                reader.onload = function() { resolve( new Uint8Array( reader.result ) ); };
+                reader.onerror = function() {
+                    reject( new module.io.LoadError( "read", "io.readSource: could not read " + ( source.name || "the blob" ) ) );
+                };
+                reader.readAsArrayBuffer( source );
+            } else {
+                reject( new module.io.LoadError( "read", "io.readSource: unsupported source " + source ) );
+            }
+        } );
+    };
+
+    ////////////////////////////////////////////////////////////////////////////////
+    // Compressed files, see inflate.js
+    ////////////////////////////////////////////////////////////////////////////////
+
+    //the extensions of the files picked from a zip archive by default
+    var meshExtensions = /\.(ply|stl|obj|off|wrl|gltf|glb|csv|xyz|pts)(\.gz)?$/i;
+
+    /**
+     * Run one of the decompressors of inflate.js, turning the strings it throws into LoadErrors with the reason
+     * "decompress".
+     * */
+    function decompressWith( format, decompress ) {
+        try {
+            return decompress();
+        } catch ( err ) {
+            if ( err instanceof module.io.LoadError ) {
+                throw err;
+            }
+            throw new module.io.LoadError( "decompress", String( err ), { format: format } );
+        }
+    }
+
+    /**
+     * @brief List the files in a zip archive.
+     * @param {Uint8Array} buffer the contents of the zip file
+     * @returns {Array} an object for each file, containing its name, size, and compressedSize
+     * @throws {LoadError} if the buffer isn't a zip archive, or the archive is corrupt
+     * */
+    module.io.listZipEntries = function( buffer ) {
+        if ( module.compressionType( buffer ) !== "zip" ) {
+            throw new module.io.LoadError( "format", "io.listZipEntries: not a zip archive", { format: "zip" } );
+        }
+        return decompressWith( "zip", function() { return module.zipEntries( buffer ); } );
+    };
+
+    /**
+     * @brief Decompress a file in a zip archive.
+     * @param {Uint8Array} buffer the contents of the zip file
+     * @param {String} name the name of the file, as listed by io.listZipEntries
+     * @returns {Uint8Array} the contents of the file
+     * @throws {LoadError} if there is no such file, or the archive is corrupt
+     * */
+    module.io.extractZipEntry = function( buffer, name ) {
+        var entries = module.io.listZipEntries( buffer );
+        for ( var i = 0; i < entries.length; i++ ) {
+            if ( entries[i].name === name ) {
+                return decompressWith( "zip", function() { return module.zipExtract( buffer, entries[i] ); } );
+            }
+        }
+        throw new module.io.LoadError( "format", "io.extractZipEntry: there is no " + name + " in the zip archive", { format: "zip" } );
+    };
+
+    /**
+     * @brief Decompress gzip, zlib, or zip data. Anything else is returned as it is.
+     *
+     * From a zip archive, the named file is extracted. Without a name, the first file with a .ply, .stl, .obj, .off,
+     * .wrl, .gltf, .glb, .csv, .xyz or .pts extension is extracted, or the first file if none of them have one.
+     *
+     * @param {Uint8Array} buffer the contents of a file, which may be compressed
+     * @param {String} name optional, the name of the file to extract from a zip archive
+     * @returns {Uint8Array} the decompressed contents
+     * @throws {LoadError} if the compressed data is corrupt, or the zip archive has no such file
+     * */
+    module.io.decompress = function( buffer, name ) {
+        var compression = module.compressionType( buffer );
+        if ( compression === "gzip" ) {
+            return module.io.decompress( decompressWith( "gzip", function() { return module.gunzip( buffer ); } ) );
+        } else if ( compression === "zlib" && module.io.getFileType( buffer ) === "unrecognized" ) {
+            //the zlib header is easily matched by chance, so data of a recognized file type is returned as it is
+            return decompressWith( "zlib", function() { return module.zlibInflate( buffer ); } );
+        } else if ( compression === "zip" ) {
+            if ( name === undefined ) {
+                var entries = module.io.listZipEntries( buffer );
+                if ( entries.length === 0 ) {
+                    throw new module.io.LoadError( "format", "io.decompress: the zip archive is empty", { format: "zip" } );
+                }
+                name = entries[0].name;
+                for ( var i = 0; i < entries.length; i++ ) {
+                    if ( meshExtensions.test( entries[i].name ) ) {
+                        name = entries[i].name;
+                        break;
+                    }
+                }
+            }
+            //the file in the archive may be gzipped as well
+            return module.io.decompress( module.io.extractZipEntry( buffer, name ) );
+        }
+        return buffer;
+    };
+
+    var parsers = {
+        "ply": function( buffer ) { return module.parsePLY( buffer ); },
+        "obj": function( buffer ) { return module.parseOBJ( buffer ); },
+        "stl": function( buffer ) { return module.parseSTL( buffer ); },
+        "off": function( buffer ) { return module.parseOFF( buffer ); },
+        "wrl": function( buffer ) { return module.parseWRL( buffer ); },
+        "gltf": function( buffer ) { return module.parseGLTF( buffer ); },
+        "csv": function( buffer ) { return module.parseCSV( buffer ); }
     };
 
-    module.io.load = function( file, type, onload ) {
+    /**
+     * @brief Parse the contents of a file with the parser for its format.
+     * @param {Uint8Array} buffer the contents of the file, which may be compressed (see io.decompress)
+     * @param {String} type optional, the file format. Detected with getFileType if not given.
+     * @returns {Object} an object containing the type, and the model returned by the parser
+     * @throws {LoadError} if the format is unknown, or the file can't be parsed
+     * */
+    module.io.parse = function( buffer, type ) {
+        buffer = module.io.decompress( buffer );
+        if ( !type ) {
+            type = module.io.getFileType( buffer );
+        }
+        var parser = parsers[type];
+        if ( parser === undefined ) {
+            throw new module.io.LoadError( "format", "io.parse: unrecognized file format " + type, { format: type } );
+        }
+        try {
+            return { type: type, model: parser( buffer ) };
+        } catch ( err ) {
+            if ( err instanceof module.io.LoadError ) {
+                throw err;
+            }
+            throw new module.io.LoadError( "parse", "io.parse: could not parse the " + type + " file: " + err, { format: type } );
+        }
+    };
 
-        /**/
+    /**
+     * @brief Load and parse a file.
+     *
+     * The type and callbacks are optional: io.load( source, onload ) is also valid.
+     *
+     * @param {String|ArrayBuffer|Uint8Array|Blob} source a URL, the file contents, or a Blob (such as a File object)
+     * @param {String} type optional, the file format ("ply", "obj", "stl", "off", "wrl", "gltf", or "csv"). Detected
+     * from the contents if not given.
+     * @param {Function} onload optional, called with the parsed model and the type
+     * @param {Function} onerror optional, called with a LoadError
+     * @returns {Promise} resolves with an object containing the type and the model, or rejects with a LoadError
+     * */
+    module.io.load = function( source, type, onload, onerror ) {
+        if ( typeof(type) === "function" ) {
+            onerror = onload;
+            onload = type;
+            type = undefined;
+        }
+        var promise = module.io.readSource( source ).then( function( buffer ) {
+            return module.io.parse( buffer, type );
+        } );
+        promise.then(
+            function( result ) {
+                if ( onload ) {
+                    onload( result.model, result.type );
+                }
+            },
+            function( err ) {
+                if ( onerror ) {
+                    onerror( err );
+                }
+            }
+        );
+        return promise;
     };
 
     return module;
@@ -39,13 +39,15 @@ var morphoviewer = ( function( module ) {
     };
 
     /*
-    * Returns the determinant of the matrix consisting of two plane
-    * vectors and the point we are evaluating.
+    * Returns the determinant of the matrix consisting of the point we are
+    * evaluating, relative to the plane's point, and the two plane vectors.
+    * It's positive on the side the normal points to, and zero on the plane.
     *
     * @param v {vec3}
     * */
     module.Plane.prototype.eval = function( v ) {
-        mat3.determinant( mat3.fromRows( mat3.create(), v, this.planeVec1, this.planeVec2 ) );
+        var d = vec3.subtract( vec3.create(), v, this.point );
+        return vec3.dot( d, vec3.cross( vec3.create(), this.planeVec1, this.planeVec2 ) );
     };
 
     module.Plane.prototype.flip = function() {
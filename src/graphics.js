@@ -226,7 +226,155 @@ var morphoviewer = ( function( module ) {
     /////////////////////////////////////////////////////////////////////////////////////////
 
     /**
-     * @class This class is a wrapper for vertex buffer objects.
+     * @param {Object} gl a WebGL context
+     * @returns {Boolean} true if the context is a WebGL 2 context, which has flat shading and 32-bit indices
+     * */
+    module.isWebGL2 = function( gl ) {
+        return typeof WebGL2RenderingContext !== "undefined" && gl instanceof WebGL2RenderingContext;
+    };
+
+    /**
+     * Find the typed array for the element indices of a mesh. WebGL 1 needs the OES_element_index_uint extension
+     * for 32-bit indices.
+     *
+     * @returns {Function} Uint32Array or Uint16Array, or null if the vertices can't be indexed at all
+     * */
+    function elementIndexType( gl, vertexCount ) {
+        if ( module.isWebGL2( gl ) || gl.getExtension( "OES_element_index_uint" ) ) {
+            return Uint32Array;
+        }
+        if ( vertexCount <= 65536 ) {
+            return Uint16Array;
+        }
+        return null;
+    }
+
+    /**
+     * Lays out an indexed mesh for the GPU. A flat shaded value, such as the curvature of a face, is taken from
+     * the provoking vertex of the triangle, which is the last one in WebGL 2. For flat shading, each triangle is
+     * rotated so that its last vertex is one which isn't the last vertex of any other triangle. If all three
+     * corners are taken, the last one is duplicated.
+     *
+     * @param {Uint32Array} index the triangle indices, three for each triangle
+     * @param {Number} vertexCount the number of vertices
+     * @param {Boolean} flat whether each triangle needs a provoking vertex of its own
+     * @returns {Object} an object containing the index field, the rearranged triangles, the source field, the vertex
+     * each GPU vertex copies its position, normal, orientation and color from, and the face field, the triangle
+     * each GPU vertex takes its curvature from, which is null when flat is false, as the vertices are then shared
+     * by their triangles
+     * */
+    function vertexLayout( index, vertexCount, flat ) {
+        if ( !flat ) {
+            var source = new Uint32Array( vertexCount );
+            for ( var i = 0; i < vertexCount; i++ ) {
+                source[i] = i;
+            }
+            return { index: index, source: source, face: null };
+        }
+
+        var face = new Uint32Array( vertexCount );
+        for ( var i = 0; i < index.length; i++ ) {
+            face[ index[i] ] = Math.floor( i / 3 );
+        }
+        var rotated = new Uint32Array( index.length );
+        var claimed = new Uint8Array( vertexCount );
+        var duplicates = [];
+        var duplicateFaces = [];
+        for ( var i = 0; i < index.length; i += 3 ) {
+            var last = 2;
+            while ( last >= 0 && claimed[ index[i+last] ] ) {
+                last--;
+            }
+            var provoking;
+            if ( last >= 0 ) {
+                provoking = index[i+last];
+                claimed[provoking] = 1;
+                face[provoking] = i / 3;
+            } else {
+                last = 2;
+                provoking = vertexCount + duplicates.length;
+                duplicates.push( index[i+2] );
+                duplicateFaces.push( i / 3 );
+            }
+            //rotating keeps the winding of the triangle
+            rotated[i] = index[ i + ( last + 1 ) % 3 ];
+            rotated[i+1] = index[ i + ( last + 2 ) % 3 ];
+            rotated[i+2] = provoking;
+        }
+
+        var source = new Uint32Array( vertexCount + duplicates.length );
+        var faces = new Uint32Array( vertexCount + duplicates.length );
+        faces.set( face );
+        for ( var i = 0; i < vertexCount; i++ ) {
+            source[i] = i;
+        }
+        source.set( duplicates, vertexCount );
+        faces.set( duplicateFaces, vertexCount );
+        return { index: rotated, source: source, face: faces };
+    }
+
+    /**
+     * Gives each GPU vertex of an indexed mesh a curvature. With a provoking vertex for each triangle, the vertex
+     * takes the curvature of the triangle vertexLayout chose it for. Otherwise the curvature is interpolated
+     * across each triangle, and the vertex takes the mean curvature of the triangles around it.
+     *
+     * @param {Float32Array} curvature the curvature of each triangle
+     * @param {Uint32Array} index the triangle indices, three for each triangle
+     * @param {Object} layout the layout of the mesh, as returned by vertexLayout
+     * @returns {Float32Array} the curvature of each GPU vertex
+     * */
+    function vertexCurvature( curvature, index, layout ) {
+        var values = new Float32Array( layout.source.length );
+        if ( layout.face !== null ) {
+            for ( var i = 0; i < values.length; i++ ) {
+                values[i] = curvature[ layout.face[i] ];
+            }
+            return values;
+        }
+        var faces = new Uint32Array( values.length );
+        for ( var i = 0; i < index.length; i++ ) {
+            values[ index[i] ] += curvature[ Math.floor( i / 3 ) ];
+            faces[ index[i] ]++;
+        }
+        for ( var i = 0; i < values.length; i++ ) {
+            if ( faces[i] > 0 ) {
+                values[i] /= faces[i];
+            }
+        }
+        return values;
+    }
+
+    /**
+     * @param {Uint32Array} index the triangle indices, three for each triangle
+     * @param {Number} vertexCount the number of vertices
+     * @returns {Uint32Array} the vertex pairs of the distinct edges of the triangles
+     * */
+    function meshEdges( index, vertexCount ) {
+        //each edge is keyed by its vertices, so that sorting brings the duplicates next to each other
+        var keys = new Float64Array( index.length );
+        for ( var i = 0; i < index.length; i += 3 ) {
+            for ( var j = 0; j < 3; j++ ) {
+                var a = index[i+j], b = index[ i + ( j + 1 ) % 3 ];
+                keys[i+j] = a < b ? a * vertexCount + b : b * vertexCount + a;
+            }
+        }
+        keys.sort();
+
+        var edges = new Uint32Array( 2 * keys.length );
+        var count = 0;
+        for ( var i = 0; i < keys.length; i++ ) {
+            if ( i > 0 && keys[i] === keys[i-1] ) {
+                continue;
+            }
+            edges[count++] = Math.floor( keys[i] / vertexCount );
+            edges[count++] = keys[i] % vertexCount;
+        }
+        return edges.slice( 0, count );
+    }
+
+    /**
+     * @class This class is a wrapper for vertex buffer objects. An indexed mesh is also given an element
+     * buffer, so that vertices shared by triangles are stored only once.
      *
      * @param {Object} gl a valid WebGL context
      */
@@ -236,8 +384,20 @@ var morphoviewer = ( function( module ) {
         this.numVertices = 0;
         this.contains = {
             vertex: false, barycentric: false, normal: false,
-            curvature: false, orientation: false
+            curvature: false, orientation: false, color: false
         };
+        //the byte offset of each kind of data within the vertex buffer object
+        this.offsets = {};
+
+        //the element buffers of an indexed mesh, the edges being built when the wireframe is first drawn
+        this.indexed = false;
+        this.ibo = null;
+        this.numIndices = 0;
+        this.indexType = null;
+        this.edgeIbo = null;
+        this.numEdgeIndices = 0;
+        this.triangles = null;
+        this.wrappedVertices = 0;
     };
 
     /**
@@ -251,56 +411,227 @@ var morphoviewer = ( function( module ) {
 
     /**
      * @param {Object} obj an object containing the following fields: { vertex: [],
-     * normal: [], curvature: [], orientation: [] }
+     * normal: [], curvature: [], orientation: [] }, and optionally color: [], containing an RGB triplet
+     * in the range [0, 1] for each vertex. The fields are typed arrays or plain arrays of numbers.
+     * If the object is a mesh cache with the index and wrappedVertex fields, the mesh is built indexed
+     * instead. If the context can't index that many vertices, the mesh cache is unwrapped into those fields.
      * */
     module.Mesh.prototype.build = function( obj ) {
-        var N = obj.vertex.length;
-        var buf = [];
-        if ( obj.vertex !== undefined ) {
-            buf = obj.vertex.slice();
-            this.numVertices = buf.length / 3.0;
-            this.contains["vertex"] = true;
-            var barycentric = new Array( buf.length );// vertexArray.length );
-            for ( var i = 0; i < this.numVertices * 3; i += 9 ) {
-                barycentric[i] = 1.0;
-                barycentric[i+1] = 0.0;
-                barycentric[i+2] = 0.0;
-                barycentric[i+3] = 0.0;
-                barycentric[i+4] = 1.0;
-                barycentric[i+5] = 0.0;
-                barycentric[i+6] = 0.0;
-                barycentric[i+7] = 0.0;
-                barycentric[i+8] = 1.0;
+        if ( obj.index !== undefined && obj.wrappedVertex !== undefined ) {
+            if ( obj.index.length > 0 && this.buildIndexed( obj ) ) {
+                return;
             }
-            buf = buf.concat( barycentric );
-            this.contains["barycentric"] = true;
-        } else {
+            obj = unwrapMeshCache( obj );
+        }
+        if ( obj.vertex === undefined ) {
             alert( "morphoviewer.Mesh.build error: no vertices supplied!" );
+            return;
         }
+        this.numVertices = obj.vertex.length / 3.0;
+        //most files don't have colors, in which case the array is empty
+        var hasColor = obj.color !== undefined && obj.color.length === 3 * this.numVertices && this.numVertices > 0;
+
+        //the barycentric coordinates are as long as the vertices, so count them twice
+        var length = 2 * obj.vertex.length;
+        [ "normal", "curvature", "orientation" ].forEach( function( field ) {
+            if ( obj[field] !== undefined ) {
+                length += obj[field].length;
+            }
+        } );
+        if ( hasColor ) {
+            length += obj.color.length;
+        }
+
+        var buf = new Float32Array( length );
+        var offset = 0;
+        var self = this;
+        var add = function( field, values ) {
+            self.offsets[field] = 4 * offset;
+            buf.set( values, offset );
+            offset += values.length;
+            self.contains[field] = true;
+        };
+
+        add( "vertex", obj.vertex );
+        this.offsets["barycentric"] = 4 * offset;
+        for ( var i = 0; i < obj.vertex.length; i += 9 ) {
+            buf[offset+i] = 1.0;
+            buf[offset+i+4] = 1.0;
+            buf[offset+i+8] = 1.0;
+        }
+        offset += obj.vertex.length;
+        this.contains["barycentric"] = true;
+
         if ( obj.normal !== undefined ) {
-            buf = buf.concat( obj.normal );
-            this.contains["normal"] = true;
+            add( "normal", obj.normal );
         }
         if ( obj.curvature !== undefined ) {
-            buf = buf.concat( obj.curvature );
-            this.contains["curvature"] = true;
+            add( "curvature", obj.curvature );
         }
         if ( obj.orientation !== undefined ) {
-            buf = buf.concat( obj.orientation );
-            this.contains["orientation"] = true;
+            add( "orientation", obj.orientation );
+        }
+        if ( hasColor ) {
+            add( "color", obj.color );
         }
         this.vbo = this.gl.createBuffer();
         this.gl.bindBuffer( this.gl.ARRAY_BUFFER, this.vbo );
         this.gl.bufferData(
             this.gl.ARRAY_BUFFER,
-            new Float32Array( buf ),
+            buf,
             this.gl.STATIC_DRAW
         );
         this.gl.bindBuffer( this.gl.ARRAY_BUFFER, null );
     };
 
     /**
-     * Check if this mesh instance has "vertex", "normal", "barycentric", "curvature" or "orientation" data.
+     * Gives each corner of each triangle of a mesh cache a vertex of its own, for contexts which can't index the
+     * vertices.
+     *
+     * @param {Object} meshCache the mesh cache, containing the index and wrappedVertex fields, and optionally the
+     * wrappedNormal, wrappedColor, curvature (per triangle) and orientation (per vertex) fields
+     * @returns {Object} the object Mesh.build takes, with the vertex, normal, curvature, orientation and color fields
+     * */
+    function unwrapMeshCache( meshCache ) {
+        var index = meshCache.index;
+        var vertexCount = meshCache.wrappedVertex.length / 3;
+        var obj = {};
+        [
+            { from: "wrappedVertex", to: "vertex", size: 3 },
+            { from: "wrappedNormal", to: "normal", size: 3 },
+            { from: "orientation", to: "orientation", size: 1 },
+            { from: "wrappedColor", to: "color", size: 3 }
+        ].forEach( function( field ) {
+            var values = meshCache[field.from];
+            //most files don't have colors, in which case the array is empty
+            if ( values === undefined || values.length !== field.size * vertexCount ) {
+                return;
+            }
+            var unwrapped = new Float32Array( field.size * index.length );
+            for ( var i = 0; i < index.length; i++ ) {
+                for ( var k = 0; k < field.size; k++ ) {
+                    unwrapped[ field.size * i + k ] = values[ field.size * index[i] + k ];
+                }
+            }
+            obj[field.to] = unwrapped;
+        } );
+        if ( meshCache.curvature !== undefined && meshCache.curvature.length === index.length / 3 ) {
+            obj.curvature = new Float32Array( index.length );
+            for ( var i = 0; i < index.length; i++ ) {
+                obj.curvature[i] = meshCache.curvature[ Math.floor( i / 3 ) ];
+            }
+        }
+        return obj;
+    }
+
+    /**
+     * Builds the vertex buffer out of the wrapped arrays of a mesh cache, and the element buffer out of its
+     * triangles. The curvature, which the mesh cache stores per triangle, is given to the vertices by
+     * vertexCurvature.
+     *
+     * @param {Object} meshCache the mesh cache
+     * @returns {Boolean} false if the context can't index the vertices, in which case nothing is built
+     * */
+    module.Mesh.prototype.buildIndexed = function( meshCache ) {
+        var gl = this.gl;
+        var vertexCount = meshCache.wrappedVertex.length / 3;
+        var layout = vertexLayout( meshCache.index, vertexCount, module.isWebGL2( gl ) );
+        var IndexArray = elementIndexType( gl, layout.source.length );
+        if ( IndexArray === null ) {
+            return false;
+        }
+
+        //the curvature is laid out per GPU vertex already, so it needs no map
+        var curvature;
+        if ( meshCache.curvature !== undefined && meshCache.curvature.length === meshCache.index.length / 3 ) {
+            curvature = vertexCurvature( meshCache.curvature, meshCache.index, layout );
+        }
+        var fields = [
+            { name: "vertex", values: meshCache.wrappedVertex, size: 3, map: layout.source },
+            { name: "normal", values: meshCache.wrappedNormal, size: 3, map: layout.source },
+            { name: "curvature", values: curvature, size: 1, map: null },
+            { name: "orientation", values: meshCache.orientation, size: 1, map: layout.source },
+            { name: "color", values: meshCache.wrappedColor, size: 3, map: layout.source }
+        ].filter( function( field ) {
+            //most files don't have colors, in which case the array is empty
+            var count = field.map === null ? layout.source.length : vertexCount;
+            return field.values !== undefined && field.values.length === field.size * count;
+        } );
+
+        this.numVertices = layout.source.length;
+        var length = 0;
+        for ( var i = 0; i < fields.length; i++ ) {
+            length += fields[i].size * this.numVertices;
+        }
+        var buf = new Float32Array( length );
+        var offset = 0;
+        for ( var i = 0; i < fields.length; i++ ) {
+            var field = fields[i];
+            this.offsets[field.name] = 4 * offset;
+            this.contains[field.name] = true;
+            for ( var v = 0; v < this.numVertices; v++ ) {
+                var from = field.map === null ? v : field.map[v];
+                for ( var k = 0; k < field.size; k++ ) {
+                    buf[offset++] = field.values[ field.size * from + k ];
+                }
+            }
+        }
+        this.vbo = gl.createBuffer();
+        gl.bindBuffer( gl.ARRAY_BUFFER, this.vbo );
+        gl.bufferData( gl.ARRAY_BUFFER, buf, gl.STATIC_DRAW );
+        gl.bindBuffer( gl.ARRAY_BUFFER, null );
+
+        this.indexed = true;
+        this.indexType = IndexArray === Uint32Array ? gl.UNSIGNED_INT : gl.UNSIGNED_SHORT;
+        this.numIndices = layout.index.length;
+        this.ibo = gl.createBuffer();
+        gl.bindBuffer( gl.ELEMENT_ARRAY_BUFFER, this.ibo );
+        gl.bufferData( gl.ELEMENT_ARRAY_BUFFER, new IndexArray( layout.index ), gl.STATIC_DRAW );
+        gl.bindBuffer( gl.ELEMENT_ARRAY_BUFFER, null );
+        this.triangles = meshCache.index;
+        this.wrappedVertices = vertexCount;
+        return true;
+    };
+
+    /**
+     * Draw the triangles of the mesh. The vertex attributes must have been set up already.
+     * */
+    module.Mesh.prototype.draw = function() {
+        var gl = this.gl;
+        if ( !this.indexed ) {
+            gl.drawArrays( gl.TRIANGLES, 0, this.numVertices );
+            return;
+        }
+        gl.bindBuffer( gl.ELEMENT_ARRAY_BUFFER, this.ibo );
+        gl.drawElements( gl.TRIANGLES, this.numIndices, this.indexType, 0 );
+        gl.bindBuffer( gl.ELEMENT_ARRAY_BUFFER, null );
+    };
+
+    /**
+     * Draw the edges of an indexed mesh as lines, each edge once. The vertex attribute must have been set up
+     * already.
+     * */
+    module.Mesh.prototype.drawEdges = function() {
+        var gl = this.gl;
+        if ( !this.indexed ) {
+            return;
+        }
+        if ( this.edgeIbo === null ) {
+            var edges = meshEdges( this.triangles, this.wrappedVertices );
+            var IndexArray = this.indexType === gl.UNSIGNED_INT ? Uint32Array : Uint16Array;
+            this.numEdgeIndices = edges.length;
+            this.edgeIbo = gl.createBuffer();
+            gl.bindBuffer( gl.ELEMENT_ARRAY_BUFFER, this.edgeIbo );
+            gl.bufferData( gl.ELEMENT_ARRAY_BUFFER, new IndexArray( edges ), gl.STATIC_DRAW );
+        } else {
+            gl.bindBuffer( gl.ELEMENT_ARRAY_BUFFER, this.edgeIbo );
+        }
+        gl.drawElements( gl.LINES, this.numEdgeIndices, this.indexType, 0 );
+        gl.bindBuffer( gl.ELEMENT_ARRAY_BUFFER, null );
+    };
+
+    /**
+     * Check if this mesh instance has "vertex", "normal", "barycentric", "curvature", "orientation" or "color" data.
      *
      * @param {String} bufType
      * @returns {Boolean} true if contained, false otherwise */
@@ -308,6 +639,14 @@ var morphoviewer = ( function( module ) {
         return this.contains[bufType];
     };
 
+    /**
+     * @param {String} bufType one of the types listed for Mesh.has
+     * @returns {Number} the byte offset of the data within the vertex buffer object
+     * */
+    module.Mesh.prototype.offset = function( bufType ) {
+        return this.offsets[bufType];
+    };
+
     /**
      * Query the number of distinct vertices that the contained mesh has.
      *
@@ -331,6 +670,19 @@ var morphoviewer = ( function( module ) {
         this.gl.bindBuffer( this.gl.ARRAY_BUFFER, null );
     };
 
+    /**
+     * Delete the vertex and element buffer objects of the mesh. The mesh can be built again afterwards.
+     */
+    module.Mesh.prototype.dispose = function() {
+        var gl = this.gl;
+        [ "vbo", "ibo", "edgeIbo" ].forEach( function( buffer ) {
+            if ( this[buffer] !== null ) {
+                gl.deleteBuffer( this[buffer] );
+                this[buffer] = null;
+            }
+        }, this );
+    };
+
     /////////////////////////////////////////////////////////////////////////////////////////
     // Camera class
     /////////////////////////////////////////////////////////////////////////////////////////
@@ -632,6 +984,22 @@ var morphoviewer = ( function( module ) {
     // Shader strings and attribute methods
     /////////////////////////////////////////////////////////////////////////////////////////
 
+    /**
+     * Prefixes which compile the GLSL ES 1.00 shaders below as GLSL ES 3.00 on WebGL 2. They define
+     * FLAT_SHADING, so that a shader can use flat varyings for the values of whole faces.
+     * */
+    module.shaderPrefix300 = {
+        vertex: "#version 300 es\n" +
+            "#define FLAT_SHADING\n" +
+            "#define attribute in\n" +
+            "#define varying out\n",
+        fragment: "#version 300 es\n" +
+            "#define FLAT_SHADING\n" +
+            "#define varying in\n" +
+            "out highp vec4 fragmentColor;\n" +
+            "#define gl_FragColor fragmentColor\n"
+    };
+
     module.color = {
         camera: mat4.create(),
         model: mat4.create(),
@@ -647,9 +1015,9 @@ var morphoviewer = ( function( module ) {
 
             if ( mesh.has( "curvature" ) && mesh.has( "orientation" ) ) {
                 gl.vertexAttribPointer( program.attribute( "curvature" ),
-                    1, gl.FLOAT, gl.FALSE, 0, 36 * numVertices );
+                    1, gl.FLOAT, gl.FALSE, 0, mesh.offset( "curvature" ) );
                 gl.vertexAttribPointer( program.attribute( "orientation" ),
-                    1, gl.FLOAT, gl.FALSE, 0, 40 * numVertices );
+                    1, gl.FLOAT, gl.FALSE, 0, mesh.offset( "orientation" ) );
             }
         },
         setUniforms: function( program ) {
@@ -670,6 +1038,9 @@ var morphoviewer = ( function( module ) {
             "uniform int colorMode;\n" +
 
             "varying vec4 fragColor;\n" +
+            "#ifdef FLAT_SHADING\n" +
+            "flat varying vec4 faceColor;\n" +
+            "#endif\n" +
 
             "vec4 yellowToRed( float scalar );\n" +
             "vec4 longRainbow( float scalar );\n" +
@@ -684,6 +1055,9 @@ var morphoviewer = ( function( module ) {
             "	} else if ( colorMode == 2 ) {	//orientation map\n" +
             "		fragColor = longRainbow( orientation );\n" +
             "	}\n" +
+            "#ifdef FLAT_SHADING\n" +
+            "	faceColor = fragColor;\n" +
+            "#endif\n" +
             "	gl_Position = camera * model * vec4( vert, 1.0 );\n" +
             "}\n" +
 
@@ -738,8 +1112,18 @@ var morphoviewer = ( function( module ) {
         fragment:
             "precision mediump float;\n" +
             "varying vec4 fragColor;\n" +
+            "#ifdef FLAT_SHADING\n" +
+            "flat varying vec4 faceColor;\n" +
+            "uniform highp int colorMode;\n" +
+            "#endif\n" +
 
             "void main() {\n" +
+            "#ifdef FLAT_SHADING\n" +
+            "	if ( colorMode == 1 ) {	//the curvature is a value of the whole face\n" +
+            "		gl_FragColor = faceColor;\n" +
+            "		return;\n" +
+            "	}\n" +
+            "#endif\n" +
             "	gl_FragColor = fragColor;\n" +
             "}\n"
     };
@@ -754,11 +1138,11 @@ var morphoviewer = ( function( module ) {
             gl.enableVertexAttribArray( program.attribute( "barycentric" ) );
         },
 
-        setAttributes: function( gl, program, numVertices ) {
+        setAttributes: function( gl, program, numVertices, mesh ) {
             gl.vertexAttribPointer( program.attribute( "vert" ),
                 3, gl.FLOAT, false, 0, 0 );
             gl.vertexAttribPointer( program.attribute( "barycentric" ),
-                3, gl.FLOAT, false, 0, 12 * numVertices );
+                3, gl.FLOAT, false, 0, mesh.offset( "barycentric" ) );
         },
 
         setUniforms: function( program ) {
@@ -806,12 +1190,11 @@ var morphoviewer = ( function( module ) {
             gl.enableVertexAttribArray( program.attribute( "norm" ) );
         },
 
-        setAttributes: function( gl, program, numVertices ) {
+        setAttributes: function( gl, program, numVertices, mesh ) {
             gl.vertexAttribPointer( program.attribute( "vert" ),
                 3, gl.FLOAT, false, 0, 0 );
-            //before normal, there is barycentric
             gl.vertexAttribPointer( program.attribute( "norm" ),
-                3, gl.FLOAT, false, 0, 12 * 2 * numVertices );
+                3, gl.FLOAT, false, 0, mesh.offset( "normal" ) );
         },
 
         setUniforms: function( program ) {
@@ -873,6 +1256,52 @@ var morphoviewer = ( function( module ) {
             "}"
     };
 
+    module.vertexColor = {
+        camera: mat4.create(),
+        model: mat4.create(),
+
+        enableAttributes: function( gl, program ) {
+            gl.enableVertexAttribArray( program.attribute( "vert" ) );
+            gl.enableVertexAttribArray( program.attribute( "color" ) );
+        },
+
+        setAttributes: function( gl, program, numVertices, mesh ) {
+            gl.vertexAttribPointer( program.attribute( "vert" ),
+                3, gl.FLOAT, false, 0, 0 );
+            if ( mesh.has( "color" ) ) {
+                gl.vertexAttribPointer( program.attribute( "color" ),
+                    3, gl.FLOAT, false, 0, mesh.offset( "color" ) );
+            }
+        },
+
+        setUniforms: function( program ) {
+            program.setUniform( "camera", this.camera, { type: "mat4" } );
+            program.setUniform( "model", this.model, { type: "mat4" } );
+        },
+        vertex:
+            "precision mediump float;\n" +
+
+            "attribute vec3 vert;\n" +
+            "attribute vec3 color;\n" +
+
+            "uniform mat4 camera;\n" +
+            "uniform mat4 model;\n" +
+
+            "varying vec3 fragColor;\n" +
+
+            "void main() {\n" +
+            "	fragColor = color;\n" +
+            "	gl_Position = camera * model * vec4( vert, 1.0 );\n" +
+            "}",
+        fragment:
+            "precision mediump float;\n" +
+
+            "varying vec3 fragColor;\n" +
+            "void main() {\n" +
+            "	gl_FragColor = vec4( fragColor, 1.0 );\n" +
+            "}"
+    };
+
     module.flatShader = {
         camera: mat4.create(),
         model: mat4.create(),
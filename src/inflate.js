@@ -0,0 +1,546 @@
+/**
+ * This file contains a decompressor for deflate data (RFC 1951), and readers for the gzip (RFC 1952), zlib
+ * (RFC 1950) and zip formats which wrap it, so that compressed files can be loaded without any other libraries.
+ *
+ * The functions throw strings when the data is corrupt, like the rest of the low level code. io.decompress in
+ * file_io.js turns them into ParseErrors.
+ * */
+var morphoviewer = ( function( module ) {
+
+    ////////////////////////////////////////////////////////////////////////////////
+    // Deflate decompression
+    ////////////////////////////////////////////////////////////////////////////////
+
+    //the base values and extra bits of the length and distance codes
+    var lengthBase = [
+        3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+        35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258
+    ];
+    var lengthExtra = [
+        0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+        3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0
+    ];
+    var distanceBase = [
+        1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193,
+        257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577
+    ];
+    var distanceExtra = [
+        0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6,
+        7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13
+    ];
+    //the order in which the code lengths of the code length alphabet are stored
+    var codeLengthOrder = [ 16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15 ];
+
+    /**
+     * @class A canonical Huffman code, stored as the number of codes of each length, and the symbols
+     * ordered by their codes.
+     * */
+    var Huffman = function( lengths ) {
+        this.counts = new Uint16Array( 16 );
+        this.symbols = new Uint16Array( lengths.length );
+        for ( var i = 0; i < lengths.length; i++ ) {
+            this.counts[ lengths[i] ]++;
+        }
+        this.counts[0] = 0;
+        var offsets = new Uint16Array( 16 );
+        for ( var i = 1; i < 16; i++ ) {
+            offsets[i] = offsets[i-1] + this.counts[i-1];
+        }
+        for ( var i = 0; i < lengths.length; i++ ) {
+            if ( lengths[i] !== 0 ) {
+                this.symbols[ offsets[ lengths[i] ]++ ] = i;
+            }
+        }
+    };
+
+    var fixedLiterals = null;
+    var fixedDistances = null;
+
+    function buildFixedCodes() {
+        var lengths = new Uint8Array( 288 );
+        for ( var i = 0; i < 288; i++ ) {
+            lengths[i] = i < 144 ? 8 : i < 256 ? 9 : i < 280 ? 7 : 8;
+        }
+        fixedLiterals = new Huffman( lengths );
+        lengths = new Uint8Array( 30 );
+        for ( var i = 0; i < 30; i++ ) {
+            lengths[i] = 5;
+        }
+        fixedDistances = new Huffman( lengths );
+    }
+
+    /**
+     * @class The state of decompressing one deflate stream.
+     *
+     * @param {Uint8Array} data the compressed data
+     * @param {Number} offset where the deflate stream begins
+     * @param {Number} size the size of the decompressed data if known, or 0
+     * */
+    var Inflater = function( data, offset, size ) {
+        this.data = data;
+        this.pos = offset;
+        this.bitBuffer = 0;
+        this.bitCount = 0;
+        this.output = new Uint8Array( size > 0 ? size : Math.max( 1024, 4 * ( data.length - offset ) ) );
+        this.outPos = 0;
+    };
+
+    /**
+     * @returns {Number} the next n bits of the stream, the first bit being the least significant one
+     * */
+    Inflater.prototype.bits = function( n ) {
+        while ( this.bitCount < n ) {
+            if ( this.pos >= this.data.length ) {
+                throw "inflate: unexpected end of the compressed data";
+            }
+            this.bitBuffer |= this.data[ this.pos++ ] << this.bitCount;
+            this.bitCount += 8;
+        }
+        var value = this.bitBuffer & ( ( 1 << n ) - 1 );
+        this.bitBuffer >>>= n;
+        this.bitCount -= n;
+        return value;
+    };
+
+    Inflater.prototype.decode = function( huffman ) {
+        var code = 0;
+        var first = 0;
+        var index = 0;
+        for ( var length = 1; length < 16; length++ ) {
+            code |= this.bits( 1 );
+            var count = huffman.counts[length];
+            if ( code - first < count ) {
+                return huffman.symbols[ index + code - first ];
+            }
+            index += count;
+            first = ( first + count ) << 1;
+            code <<= 1;
+        }
+        throw "inflate: invalid Huffman code";
+    };
+
+    /**
+     * Make room for the given number of bytes in the output.
+     * */
+    Inflater.prototype.reserve = function( bytes ) {
+        if ( this.outPos + bytes <= this.output.length ) {
+            return;
+        }
+        var grown = new Uint8Array( Math.max( 2 * this.output.length, this.outPos + bytes ) );
+        grown.set( this.output.subarray( 0, this.outPos ) );
+        this.output = grown;
+    };
+
+    Inflater.prototype.storedBlock = function() {
+        //stored blocks begin at a byte boundary
+        this.bitBuffer = 0;
+        this.bitCount = 0;
+        if ( this.pos + 4 > this.data.length ) {
+            throw "inflate: unexpected end of the compressed data";
+        }
+        var length = this.data[ this.pos ] | ( this.data[ this.pos + 1 ] << 8 );
+        var complement = this.data[ this.pos + 2 ] | ( this.data[ this.pos + 3 ] << 8 );
+        this.pos += 4;
+        if ( length !== ( ~complement & 0xffff ) ) {
+            throw "inflate: corrupt stored block length";
+        }
+        if ( this.pos + length > this.data.length ) {
+            throw "inflate: unexpected end of the compressed data";
+        }
+        this.reserve( length );
+        this.output.set( this.data.subarray( this.pos, this.pos + length ), this.outPos );
+        this.outPos += length;
+        this.pos += length;
+    };
+
+    Inflater.prototype.huffmanBlock = function( literals, distances ) {
+        while ( true ) {
+            var symbol = this.decode( literals );
+            if ( symbol < 256 ) {
+                this.reserve( 1 );
+                this.output[ this.outPos++ ] = symbol;
+            } else if ( symbol === 256 ) {
+                return;
+            } else {
+                symbol -= 257;
+                if ( symbol >= 29 ) {
+                    throw "inflate: invalid length code";
+                }
+                var length = lengthBase[symbol] + this.bits( lengthExtra[symbol] );
+                var distanceSymbol = this.decode( distances );
+                if ( distanceSymbol >= 30 ) {
+                    throw "inflate: invalid distance code";
+                }
+                var distance = distanceBase[distanceSymbol] + this.bits( distanceExtra[distanceSymbol] );
+                if ( distance > this.outPos ) {
+                    throw "inflate: distance too far back";
+                }
+                this.reserve( length );
+                //the copy may overlap itself, so go byte by byte
+                var output = this.output;
+                var from = this.outPos - distance;
+                for ( var i = 0; i < length; i++ ) {
+                    output[ this.outPos++ ] = output[ from + i ];
+                }
+            }
+        }
+    };
+
+    Inflater.prototype.dynamicBlock = function() {
+        var literalCount = this.bits( 5 ) + 257;
+        var distanceCount = this.bits( 5 ) + 1;
+        var codeLengthCount = this.bits( 4 ) + 4;
+        if ( literalCount > 286 || distanceCount > 30 ) {
+            throw "inflate: too many length or distance codes";
+        }
+        var lengths = new Uint8Array( 19 );
+        for ( var i = 0; i < codeLengthCount; i++ ) {
+            lengths[ codeLengthOrder[i] ] = this.bits( 3 );
+        }
+        var codeLengths = new Huffman( lengths );
+
+        lengths = new Uint8Array( literalCount + distanceCount );
+        var index = 0;
+        while ( index < lengths.length ) {
+            var symbol = this.decode( codeLengths );
+            if ( symbol < 16 ) {
+                lengths[ index++ ] = symbol;
+                continue;
+            }
+            var value = 0;
+            var repeat;
+            if ( symbol === 16 ) {
+                if ( index === 0 ) {
+                    throw "inflate: repeated code length with no previous length";
+                }
+                value = lengths[ index - 1 ];
+                repeat = 3 + this.bits( 2 );
+            } else if ( symbol === 17 ) {
+                repeat = 3 + this.bits( 3 );
+            } else {
+                repeat = 11 + this.bits( 7 );
+            }
+            if ( index + repeat > lengths.length ) {
+                throw "inflate: too many code lengths";
+            }
+            for ( var i = 0; i < repeat; i++ ) {
+                lengths[ index++ ] = value;
+            }
+        }
+        if ( lengths[256] === 0 ) {
+            throw "inflate: no end of block code";
+        }
+        this.huffmanBlock(
+            new Huffman( lengths.subarray( 0, literalCount ) ),
+            new Huffman( lengths.subarray( literalCount ) )
+        );
+    };
+
+    /**
+     * @returns {Uint8Array} the decompressed data
+     * */
+    Inflater.prototype.run = function() {
+        var last = 0;
+        while ( !last ) {
+            last = this.bits( 1 );
+            var type = this.bits( 2 );
+            if ( type === 0 ) {
+                this.storedBlock();
+            } else if ( type === 1 ) {
+                if ( fixedLiterals === null ) {
+                    buildFixedCodes();
+                }
+                this.huffmanBlock( fixedLiterals, fixedDistances );
+            } else if ( type === 2 ) {
+                this.dynamicBlock();
+            } else {
+                throw "inflate: invalid block type";
+            }
+        }
+        return this.outPos === this.output.length ? this.output : this.output.slice( 0, this.outPos );
+    };
+
+    /**
+     * @brief Decompress raw deflate data.
+     *
+     * @param {Uint8Array} data the compressed data
+     * @param {Number} size optional, the size of the decompressed data, if known
+     * @returns {Uint8Array} the decompressed data
+     * */
+    module.inflate = function( data, size ) {
+        return new Inflater( data, 0, size || 0 ).run();
+    };
+
+    ////////////////////////////////////////////////////////////////////////////////
+    // Checksums
+    ////////////////////////////////////////////////////////////////////////////////
+
+    var crcTable = null;
+
+    function crc32( data ) {
+        if ( crcTable === null ) {
+            crcTable = new Uint32Array( 256 );
+            for ( var n = 0; n < 256; n++ ) {
+                var c = n;
+                for ( var k = 0; k < 8; k++ ) {
+                    c = c & 1 ? 0xedb88320 ^ ( c >>> 1 ) : c >>> 1;
+                }
+                crcTable[n] = c;
+            }
+        }
+        var crc = 0xffffffff;
+        for ( var i = 0; i < data.length; i++ ) {
+            crc = crcTable[ ( crc ^ data[i] ) & 0xff ] ^ ( crc >>> 8 );
+        }
+        return ( crc ^ 0xffffffff ) >>> 0;
+    }
+
+    function adler32( data ) {
+        var a = 1;
+        var b = 0;
+        for ( var i = 0; i < data.length; ) {
+            //the sums can't overflow in this many steps
+            var end = Math.min( i + 3800, data.length );
+            for ( ; i < end; i++ ) {
+                a += data[i];
+                b += a;
+            }
+            a %= 65521;
+            b %= 65521;
+        }
+        return ( ( b << 16 ) | a ) >>> 0;
+    }
+
+    function uint16( data, offset ) {
+        return data[offset] | ( data[offset+1] << 8 );
+    }
+
+    function uint32( data, offset ) {
+        return ( data[offset] | ( data[offset+1] << 8 ) | ( data[offset+2] << 16 ) | ( data[offset+3] << 24 ) ) >>> 0;
+    }
+
+    ////////////////////////////////////////////////////////////////////////////////
+    // gzip & zlib
+    ////////////////////////////////////////////////////////////////////////////////
+
+    /**
+     * The zlib header is only two bytes, and about one in 31 byte pairs passes its check, so text and binary STL
+     * files may look like zlib data too. Check the file type of the data as it is before trusting "zlib".
+     *
+     * @returns {String} "gzip", "zlib" or "zip" if the data begins with the magic number of that format,
+     * null otherwise
+     * */
+    module.compressionType = function( data ) {
+        if ( data.length >= 10 && data[0] === 0x1f && data[1] === 0x8b && data[2] === 8 ) {
+            return "gzip";
+        }
+        if ( data.length >= 4 && data[0] === 0x50 && data[1] === 0x4b &&
+            ( ( data[2] === 3 && data[3] === 4 ) || ( data[2] === 5 && data[3] === 6 ) ) ) {
+            return "zip";
+        }
+        //the zlib header is a deflate method byte, and a flag byte making the pair a multiple of 31
+        if ( data.length >= 6 && ( data[0] & 0x0f ) === 8 && ( data[0] >> 4 ) <= 7 &&
+            ( ( data[0] << 8 ) | data[1] ) % 31 === 0 ) {
+            return "zlib";
+        }
+        return null;
+    };
+
+    /**
+     * @brief Decompress gzip data. Files consisting of several gzip members are decompressed into one.
+     *
+     * @param {Uint8Array} data the contents of the gzip file
+     * @returns {Uint8Array} the decompressed data
+     * */
+    module.gunzip = function( data ) {
+        var members = [];
+        var offset = 0;
+        while ( offset < data.length ) {
+            if ( data.length - offset < 18 || data[offset] !== 0x1f || data[offset+1] !== 0x8b ) {
+                if ( members.length > 0 ) {
+                    //trailing garbage, such as padding, after the last member
+                    break;
+                }
+                throw "gunzip: not gzip data";
+            }
+            if ( data[offset+2] !== 8 ) {
+                throw "gunzip: unsupported compression method " + data[offset+2];
+            }
+            var flags = data[offset+3];
+            var pos = offset + 10;
+            if ( flags & 4 ) {      //extra field
+                pos += 2 + uint16( data, pos );
+            }
+            if ( flags & 8 ) {      //file name
+                while ( pos < data.length && data[pos] !== 0 ) {
+                    pos++;
+                }
+                pos++;
+            }
+            if ( flags & 16 ) {     //comment
+                while ( pos < data.length && data[pos] !== 0 ) {
+                    pos++;
+                }
+                pos++;
+            }
+            if ( flags & 2 ) {      //header checksum
+                pos += 2;
+            }
+            if ( pos >= data.length ) {
+                throw "gunzip: unexpected end of the gzip header";
+            }
+            var inflater = new Inflater( data, pos, 0 );
+            var member = inflater.run();
+            pos = inflater.pos;
+            if ( pos + 8 > data.length ) {
+                throw "gunzip: unexpected end of the compressed data";
+            }
+            if ( uint32( data, pos ) !== crc32( member ) ) {
+                throw "gunzip: checksum mismatch, the file is corrupt";
+            }
+            if ( uint32( data, pos + 4 ) !== member.length % 0x100000000 ) {
+                throw "gunzip: size mismatch, the file is corrupt";
+            }
+            members.push( member );
+            offset = pos + 8;
+        }
+        if ( members.length === 1 ) {
+            return members[0];
+        }
+        var size = 0;
+        for ( var i = 0; i < members.length; i++ ) {
+            size += members[i].length;
+        }
+        var result = new Uint8Array( size );
+        for ( var i = 0, at = 0; i < members.length; at += members[i].length, i++ ) {
+            result.set( members[i], at );
+        }
+        return result;
+    };
+
+    /**
+     * @brief Decompress zlib data, the format used by HTTP's deflate encoding.
+     *
+     * @param {Uint8Array} data the zlib stream
+     * @returns {Uint8Array} the decompressed data
+     * */
+    module.zlibInflate = function( data ) {
+        if ( module.compressionType( data ) !== "zlib" ) {
+            throw "zlibInflate: not zlib data";
+        }
+        if ( data[1] & 0x20 ) {
+            throw "zlibInflate: preset dictionaries are not supported";
+        }
+        var inflater = new Inflater( data, 2, 0 );
+        var result = inflater.run();
+        if ( inflater.pos + 4 > data.length ) {
+            throw "zlibInflate: unexpected end of the compressed data";
+        }
+        var checksum = ( ( data[inflater.pos] << 24 ) | ( data[inflater.pos+1] << 16 ) |
+            ( data[inflater.pos+2] << 8 ) | data[inflater.pos+3] ) >>> 0;
+        if ( checksum !== adler32( result ) ) {
+            throw "zlibInflate: checksum mismatch, the data is corrupt";
+        }
+        return result;
+    };
+
+    ////////////////////////////////////////////////////////////////////////////////
+    // zip
+    ////////////////////////////////////////////////////////////////////////////////
+
+    function decodeName( bytes, utf8 ) {
+        if ( utf8 && typeof TextDecoder !== "undefined" ) {
+            return new TextDecoder( "utf-8" ).decode( bytes );
+        }
+        var chars = [];
+        for ( var i = 0; i < bytes.length; i++ ) {
+            chars.push( String.fromCharCode( bytes[i] ) );
+        }
+        return chars.join( "" );
+    }
+
+    /**
+     * @brief List the files in a zip archive. Directories are left out.
+     *
+     * @param {Uint8Array} data the contents of the zip file
+     * @returns {Array} an object for each file, containing the name, size, compressedSize, method, and
+     * the offset of the file's local header
+     * */
+    module.zipEntries = function( data ) {
+        //the end of central directory record is at the end, followed by a comment of up to 65535 bytes
+        var end = -1;
+        for ( var i = data.length - 22; i >= 0 && i >= data.length - 22 - 65535; i-- ) {
+            if ( uint32( data, i ) === 0x06054b50 ) {
+                end = i;
+                break;
+            }
+        }
+        if ( end < 0 ) {
+            throw "zipEntries: the end of the zip directory wasn't found, the file may be truncated";
+        }
+        var count = uint16( data, end + 10 );
+        var pos = uint32( data, end + 16 );
+        if ( count === 0xffff || pos === 0xffffffff ) {
+            throw "zipEntries: zip64 archives are not supported";
+        }
+        var entries = [];
+        for ( var i = 0; i < count; i++ ) {
+            if ( pos + 46 > data.length || uint32( data, pos ) !== 0x02014b50 ) {
+                throw "zipEntries: corrupt zip directory";
+            }
+            var flags = uint16( data, pos + 8 );
+            var nameLength = uint16( data, pos + 28 );
+            var name = decodeName( data.subarray( pos + 46, pos + 46 + nameLength ), flags & 0x800 );
+            var entry = {
+                name: name,
+                method: uint16( data, pos + 10 ),
+                encrypted: ( flags & 1 ) !== 0,
+                crc: uint32( data, pos + 16 ),
+                compressedSize: uint32( data, pos + 20 ),
+                size: uint32( data, pos + 24 ),
+                offset: uint32( data, pos + 42 )
+            };
+            if ( name.charAt( name.length - 1 ) !== "/" ) {
+                entries.push( entry );
+            }
+            pos += 46 + nameLength + uint16( data, pos + 30 ) + uint16( data, pos + 32 );
+        }
+        return entries;
+    };
+
+    /**
+     * @brief Decompress a file in a zip archive.
+     *
+     * @param {Uint8Array} data the contents of the zip file
+     * @param {Object} entry the file, as listed by zipEntries
+     * @returns {Uint8Array} the contents of the file
+     * */
+    module.zipExtract = function( data, entry ) {
+        if ( entry.encrypted ) {
+            throw "zipExtract: " + entry.name + " is encrypted";
+        }
+        var pos = entry.offset;
+        if ( pos + 30 > data.length || uint32( data, pos ) !== 0x04034b50 ) {
+            throw "zipExtract: corrupt local header for " + entry.name;
+        }
+        var start = pos + 30 + uint16( data, pos + 26 ) + uint16( data, pos + 28 );
+        if ( start + entry.compressedSize > data.length ) {
+            throw "zipExtract: " + entry.name + " is truncated";
+        }
+        var compressed = data.subarray( start, start + entry.compressedSize );
+        var result;
+        if ( entry.method === 0 ) {
+            result = compressed.slice();
+        } else if ( entry.method === 8 ) {
+            result = module.inflate( compressed, entry.size );
+        } else {
+            throw "zipExtract: " + entry.name + " uses the unsupported compression method " + entry.method;
+        }
+        if ( result.length !== entry.size || crc32( result ) !== entry.crc ) {
+            throw "zipExtract: checksum mismatch, " + entry.name + " is corrupt";
+        }
+        return result;
+    };
+
+    return module;
+}( morphoviewer || {} ) );
@@ -0,0 +1,427 @@
+/**
+ * This file adds functions for turning the contents of a file into the mesh cache of a viewer. The work doesn't
+ * touch WebGL, so it can also be done in a web worker, off the main thread.
+ * */
+var morphoviewer = ( function( module ) {
+
+    //the URL of this script, needed for starting it again as a worker
+    var scriptUrl = null;
+    if ( typeof document !== "undefined" && document.currentScript ) {
+        scriptUrl = document.currentScript.src;
+    }
+
+    module.scriptUrl = function() {
+        return scriptUrl;
+    };
+
+    function emptyMeshCache() {
+        return {
+            index: new Uint32Array( 0 ),
+            orientation: new Float32Array( 0 ),
+            curvature: new Float32Array( 0 ),
+            wrappedVertex: new Float32Array( 0 ),
+            wrappedNormal: new Float32Array( 0 ),
+            wrappedColor: new Float32Array( 0 ),
+            adjacencyList: { offsets: new Uint32Array( 1 ), neighbors: new Uint32Array( 0 ) }
+        };
+    }
+
+    /**
+     * Builds the mesh cache out of an indexed mesh, computing any data that is missing. The vertices are left where
+     * they are.
+     *
+     * @param {Float32Array} verts the vertex coordinates, three for each vertex
+     * @param {Uint32Array} tris the triangle indices, three for each triangle
+     * @param {Float32Array} norms the vertex normals, three for each vertex, or null if they should be computed
+     * @param {Float32Array} orientation the orientation values per vertex, or null if it should be computed
+     * @param {Float32Array} curvature the curvature values per face, or null if it should be computed
+     * @param {Function} onprogress called with the name of each stage as it begins
+     * @returns {Object} the mesh cache
+     * */
+    function indexedMeshCache( verts, tris, norms, orientation, curvature, onprogress ) {
+        onprogress( "adjacency" );
+        var adjacency = module.adjacencyList( verts, tris );
+        if ( norms === null ) {
+            onprogress( "normals" );
+            norms = module.vertexNormals( verts, tris, adjacency );
+        }
+
+        var meshCache = emptyMeshCache();
+        meshCache.index = tris;
+        meshCache.wrappedVertex = verts;
+        meshCache.wrappedNormal = norms;
+        meshCache.adjacencyList = adjacency;
+
+        //if curvature & orientation were supplied, then add them to the object
+        // else compute them!
+        if ( orientation !== null ) {
+            meshCache.orientation = new Float32Array( orientation );
+        } else {
+            onprogress( "orientation" );
+            meshCache.orientation = module.surfaceOrientation( norms );
+        }
+        if ( curvature !== null ) {
+            meshCache.curvature = curvature;
+        } else {
+            onprogress( "curvature" );
+            meshCache.curvature = module.surfaceVariation( verts, norms, tris );
+        }
+        return meshCache;
+    }
+
+    /**
+     * @brief Parse a file, and compute the mesh cache and the other data a viewer needs from it.
+     *
+     * The progress callback is called with the stage name ("parsing", "welding", "adjacency", "normals",
+     * "orientation", "curvature", "area"), the number of bytes parsed, and the total number of bytes.
+     *
+     * @param {Uint8Array} buffer the contents of the file
+     * @param {String} type the file type, as returned by io.getFileType
+     * @param {Function} onprogress optional, function( stage, bytesParsed, bytesTotal )
+     * @param {Object} options optional, an object containing the pointCloud field, the options passed to
+     * parseCSV for point cloud files
+     * @returns {Object} an object containing the meshCache, aabb, and totalModelArea fields
+     * @throws {LoadError} if the file type is unknown, or the file can't be parsed
+     * */
+    module.buildMeshData = function( buffer, type, onprogress, options ) {
+        options = options || {};
+        var bytes = buffer.length;
+        var parsed = 0;
+        var stage = function( name ) {
+            if ( onprogress ) {
+                onprogress( name, parsed, bytes );
+            }
+        };
+        var parseProgress = function( bytesParsed ) {
+            parsed = bytesParsed;
+            stage( "parsing" );
+        };
+
+        stage( "parsing" );
+        var meshCache, aabb;
+        if ( type === "stl" ) {
+            var model = module.parseSTL( buffer, parseProgress );
+            //STL only has separate triangles, so weld their corners into shared vertices first
+            stage( "welding" );
+            var welded = module.weldVertices( model["v"] );
+            var verts = welded.vertices;
+            var tris = welded.triangles;
+            if ( tris.length === 0 ) {
+                throw new module.io.ParseError( "stl", "the file has no triangles with an area", null, null );
+            }
+            module.centerPointCloud( verts );
+            meshCache = indexedMeshCache( verts, tris, null, null, null, stage );
+            aabb = module.getAabb( verts );
+        } else if ( type === "ply" ) {
+            var model = module.parsePLY( buffer, parseProgress );
+            var vertex = model["vertex"];
+            var vertex_x = vertex["x"];
+            var vertex_y = vertex["y"];
+            var vertex_z = vertex["z"];
+            var length = vertex_x.length;
+            var verts = new Float32Array( 3 * length );
+            for ( var i = 0; i < length; i++ ) {
+                verts[3*i] = vertex_x[i];
+                verts[3*i+1] = vertex_y[i];
+                verts[3*i+2] = vertex_z[i];
+            }
+
+            //polygons are triangulated as fans, each triangle getting the curvature of its polygon
+            var vertex_indices = model["face"]["vertex_indices"];
+            var offsets = vertex_indices.offsets;
+            var indices = vertex_indices.values;
+            var tris = new module.ArrayBuilder( Uint32Array, indices.length );
+            var faceCurvature = model["face"]["curvature"];
+            var curvature = faceCurvature !== undefined ? new module.ArrayBuilder( Float32Array, offsets.length ) : null;
+            for ( var i = 0; i + 1 < offsets.length; i++ ) {
+                var first = offsets[i];
+                for ( var j = first + 1; j + 1 < offsets[i+1]; j++ ) {
+                    tris.push( indices[first] );
+                    tris.push( indices[j] );
+                    tris.push( indices[j+1] );
+                    if ( curvature !== null ) {
+                        curvature.push( faceCurvature[i] );
+                    }
+                }
+            }
+            tris = tris.toArray();
+
+            var norms = null;
+            if ( vertex["nx"] !== undefined ) {
+                norms = new Float32Array( 3 * length );
+                var nx = vertex["nx"];
+                var ny = vertex["ny"];
+                var nz = vertex["nz"];
+                for ( var i = 0; i < length; i++ ) {
+                    norms[3*i] = nx[i];
+                    norms[3*i+1] = ny[i];
+                    norms[3*i+2] = nz[i];
+                }
+            }
+
+            module.centerPointCloud( verts );
+            meshCache = indexedMeshCache(
+                verts,
+                tris,
+                norms,
+                vertex["orientation"] !== undefined ? vertex["orientation"] : null,
+                curvature !== null ? curvature.toArray() : null,
+                stage
+            );
+            //the colors are given as uchars, but stored in the range [0, 1]. Alpha is ignored.
+            if ( vertex["red"] !== undefined && vertex["green"] !== undefined && vertex["blue"] !== undefined ) {
+                var colors = new Float32Array( 3 * length );
+                for ( var i = 0; i < length; i++ ) {
+                    colors[3*i] = vertex["red"][i] / 255.0;
+                    colors[3*i+1] = vertex["green"][i] / 255.0;
+                    colors[3*i+2] = vertex["blue"][i] / 255.0;
+                }
+                meshCache.wrappedColor = colors;
+            }
+            aabb = module.getAabb( verts );
+        } else if ( type === "obj" ) {
+            var model = module.parseOBJ( buffer, parseProgress );
+            var verts = model["v"];
+            var tris = model["f"];
+
+            //the OBJ normals are indexed separately, so match them with the vertices
+            var norms = null;
+            if ( model["fn"].length === tris.length ) {
+                var vn = model["vn"];
+                var fn = model["fn"];
+                norms = new Float32Array( verts.length );
+                var hasNormal = new Uint8Array( verts.length / 3 );
+                for ( var i = 0; i < tris.length; i++ ) {
+                    norms[ 3*tris[i] ] = vn[ 3*fn[i] ];
+                    norms[ 3*tris[i]+1 ] = vn[ 3*fn[i]+1 ];
+                    norms[ 3*tris[i]+2 ] = vn[ 3*fn[i]+2 ];
+                    hasNormal[ tris[i] ] = 1;
+                }
+                for ( var i = 0; i < hasNormal.length; i++ ) {
+                    //a vertex without a normal, so compute all of them instead
+                    if ( !hasNormal[i] ) {
+                        norms = null;
+                        break;
+                    }
+                }
+            }
+
+            module.centerPointCloud( verts );
+            meshCache = indexedMeshCache( verts, tris, norms, null, null, stage );
+            aabb = module.getAabb( verts );
+        } else if ( type === "off" || type === "wrl" || type === "gltf" ) {
+            var parse = { "off": module.parseOFF, "wrl": module.parseWRL, "gltf": module.parseGLTF }[type];
+            var model = parse( buffer, parseProgress );
+            var verts = model["v"];
+            var tris = model["f"];
+            var norms = model["vn"].length === verts.length && verts.length > 0 ? model["vn"] : null;
+            module.centerPointCloud( verts );
+            meshCache = indexedMeshCache( verts, tris, norms, null, null, stage );
+            if ( model["colors"].length === verts.length && verts.length > 0 ) {
+                meshCache.wrappedColor = model["colors"];
+            }
+            aabb = module.getAabb( verts );
+        } else if ( type === "csv" ) {
+            var model = module.parseCSV( buffer, options.pointCloud, parseProgress );
+            var verts = model["points"];
+            module.centerPointCloud( verts );
+            var tris = module.triangulate( verts );
+            var norms = model["normals"].length === verts.length && verts.length > 0 ? model["normals"] : null;
+            meshCache = indexedMeshCache( verts, tris, norms, null, null, stage );
+            if ( model["colors"].length === verts.length && verts.length > 0 ) {
+                meshCache.wrappedColor = model["colors"];
+            }
+            aabb = module.getAabb( verts );
+        } else {
+            throw new module.io.LoadError( "format", "buildMeshData: unrecognized file format " + type, { format: type } );
+        }
+
+        stage( "area" );
+        return {
+            meshCache: meshCache,
+            aabb: aabb,
+            totalModelArea: module.modelArea( meshCache.wrappedVertex, meshCache.index )
+        };
+    };
+
+    /**
+     * @brief Crop a mesh at a plane, keeping the part on its positive side, and compute the mesh data for it again.
+     *
+     * The triangles straddling the plane are split where they cross it, as in clipMesh, and the colors are
+     * interpolated for the new vertices. The adjacency, normals, orientation and curvature are calculated as for
+     * a loaded file, but the vertices stay where they are, so the plane still lies along the cut.
+     *
+     * @param {Object} meshCache the mesh cache, as built by buildMeshData
+     * @param {Object} plane the plane, such as a Plane, whose eval function is positive on the side kept
+     * @returns {Object} an object containing the meshCache, aabb, and totalModelArea fields, as buildMeshData
+     * returns, or null if no triangle is left on the positive side
+     * */
+    module.cropMeshData = function( meshCache, plane ) {
+        var colors = meshCache.wrappedColor;
+        var hasColor = colors !== undefined && colors.length === meshCache.wrappedVertex.length && colors.length > 0;
+        var clipped = module.clipMesh( meshCache.wrappedVertex, meshCache.index, plane, hasColor ? [ colors ] : [] );
+        if ( clipped.triangles.length === 0 ) {
+            return null;
+        }
+        var cropped = indexedMeshCache( clipped.vertices, clipped.triangles, null, null, null, function() {} );
+        if ( hasColor ) {
+            cropped.wrappedColor = clipped.arrays[0];
+        }
+        return {
+            meshCache: cropped,
+            aabb: module.getAabb( clipped.vertices ),
+            totalModelArea: module.modelArea( clipped.vertices, clipped.triangles )
+        };
+    };
+
+    ////////////////////////////////////////////////////////////////////////////////
+    // Web worker methods
+    ////////////////////////////////////////////////////////////////////////////////
+
+    var meshFields = [ "wrappedVertex", "wrappedNormal", "wrappedColor", "index", "curvature", "orientation" ];
+
+    /**
+     * Collects the buffers of the mesh data, so that they can be transferred out of the worker
+     * instead of being copied.
+     *
+     * @returns {Array} the data to post, and the list of buffers to transfer
+     * */
+    function packMeshData( data ) {
+        var meshCache = data.meshCache;
+        var packed = {
+            aabb: data.aabb,
+            totalModelArea: data.totalModelArea,
+            adjacencyList: meshCache.adjacencyList
+        };
+        var transfer = [];
+        var add = function( array ) {
+            //an array can be shared between fields, and a buffer can only be transferred once
+            if ( transfer.indexOf( array.buffer ) === -1 ) {
+                transfer.push( array.buffer );
+            }
+        };
+        meshFields.forEach( function( field ) {
+            packed[field] = meshCache[field];
+            add( meshCache[field] );
+        } );
+        add( meshCache.adjacencyList.offsets );
+        add( meshCache.adjacencyList.neighbors );
+        return [ packed, transfer ];
+    }
+
+    function unpackMeshData( packed ) {
+        var meshCache = emptyMeshCache();
+        meshFields.forEach( function( field ) {
+            meshCache[field] = packed[field];
+        } );
+        meshCache.adjacencyList = packed.adjacencyList;
+        return {
+            meshCache: meshCache,
+            aabb: packed.aabb,
+            totalModelArea: packed.totalModelArea
+        };
+    }
+
+    /**
+     * Errors can't be posted from a worker as such, so copy the fields of LoadErrors into a plain object.
+     * */
+    function packError( err ) {
+        if ( !( err instanceof module.io.LoadError ) ) {
+            return { message: err.toString() };
+        }
+        var fields = {};
+        for ( var key in err ) {
+            if ( err.hasOwnProperty( key ) ) {
+                fields[key] = err[key];
+            }
+        }
+        fields.message = err.message;
+        fields.name = err.name;
+        return fields;
+    }
+
+    /**
+     * @returns {Object|String} the LoadError or ParseError packed by packError, or the message of any other error
+     * */
+    function unpackError( fields ) {
+        if ( fields.name === "ParseError" ) {
+            return new module.io.ParseError( fields.format, fields.message, fields.offset, fields.line );
+        } else if ( fields.name === "LoadError" ) {
+            return new module.io.LoadError( fields.reason, fields.message, fields );
+        }
+        return fields.message;
+    }
+
+    /**
+     * @brief Does the work of buildMeshData in a web worker.
+     *
+     * The file contents are transferred to the worker, so the buffer can't be used afterwards.
+     *
+     * @param {Uint8Array} buffer the contents of the file
+     * @param {String} type the file type, as returned by io.getFileType
+     * @param {String} url the URL of the morphoviewer script, which the worker runs
+     * @param {Function} onprogress optional, function( stage, bytesParsed, bytesTotal )
+     * @param {Function} onload called with the same object that buildMeshData returns
+     * @param {Function} onerror called with the LoadError (or ParseError) thrown in the worker, or the error
+     * message if something else went wrong
+     * @param {Object} options optional, the options of buildMeshData
+     * */
+    module.buildMeshDataInWorker = function( buffer, type, url, onprogress, onload, onerror, options ) {
+        //the worker is started from a blob, so that the script may be on another origin
+        var blob = new Blob( [ "importScripts(" + JSON.stringify( url ) + ");" ], { type: "text/javascript" } );
+        var blobUrl = URL.createObjectURL( blob );
+        var worker = new Worker( blobUrl );
+        var finish = function() {
+            worker.terminate();
+            URL.revokeObjectURL( blobUrl );
+        };
+        worker.onmessage = function( e ) {
+            var message = e.data;
+            if ( message.type === "progress" ) {
+                if ( onprogress ) {
+                    onprogress( message.stage, message.bytesParsed, message.bytesTotal );
+                }
+            } else if ( message.type === "done" ) {
+                finish();
+                onload( unpackMeshData( message.data ) );
+            } else if ( message.type === "error" ) {
+                finish();
+                onerror( unpackError( message.error ) );
+            }
+        };
+        worker.onerror = function( e ) {
+            finish();
+            onerror( e.message );
+        };
+        //only the whole underlying buffer can be transferred
+        var data = buffer.buffer;
+        if ( buffer.byteOffset !== 0 || buffer.byteLength !== data.byteLength ) {
+            data = data.slice( buffer.byteOffset, buffer.byteOffset + buffer.byteLength );
+        }
+        worker.postMessage( { buffer: data, type: type, options: options || {} }, [ data ] );
+    };
+
+    //when this script runs as a worker, compute the mesh data of each file it receives
+    if ( typeof document === "undefined" && typeof importScripts === "function" ) {
+        self.onmessage = function( e ) {
+            try {
+                var data = module.buildMeshData(
+                    new Uint8Array( e.data.buffer ),
+                    e.data.type,
+                    function( stage, bytesParsed, bytesTotal ) {
+                        self.postMessage( {
+                            type: "progress", stage: stage, bytesParsed: bytesParsed, bytesTotal: bytesTotal
+                        } );
+                    },
+                    e.data.options
+                );
+                var packed = packMeshData( data );
+                self.postMessage( { type: "done", data: packed[0] }, packed[1] );
+            } catch ( err ) {
+                self.postMessage( { type: "error", error: packError( err ) } );
+            }
+        };
+    }
+
+    return module;
+}( morphoviewer || {} ) );
@@ -8,96 +8,57 @@ var morphoviewer = ( function( module ) {
         var covX = 0.0;	//center of colume for each coordinate
         var covY = 0.0;
         var covZ = 0.0;
+        var count = points.length / 3;
 
-        for ( var i = 0; i < points.length; i++ ) {
-            covX += points[i][0];
-            covY += points[i][1];
-            covZ += points[i][2];
+        for ( var i = 0; i < points.length; i += 3 ) {
+            covX += points[i];
+            covY += points[i+1];
+            covZ += points[i+2];
         }
 
-        covX /= points.length;
-        covY /= points.length;
-        covZ /= points.length;
+        covX /= count;
+        covY /= count;
+        covZ /= count;
         return [ covX, covY, covZ ];
     }
 
     /**
      * @brief Center the point cloud on the origin.
-     * @param points {Array} The points
-     * @param arraytype {String} "wrapped" (by default), or "unwrapped".
+     * @param points {Float32Array} The points, three coordinates for each point. Points repeated in an unwrapped
+     * array weigh more in the center.
      * */
-    module.centerPointCloud = function( points, arraytype ) {
-        if ( typeof( arraytype ) === "undefined" ) {
-            arraytype = "wrapped";
-        }
-        if ( arraytype === "wrapped" ) {
-            centerPointCloudWrapped( points );
-        } else if ( arraytype === "unwrapped" ) {
-            centerPointCloudUnwrapped( points );
-        }
-    };
-
-    /**
-     * Center the point cloud on the origin.
-     *
-     * @param {Array} points an array of triplets, each triplet representing a (x, y, z) point.
-     */
-    function centerPointCloudWrapped( points ) {
+    module.centerPointCloud = function( points ) {
         var cov = centerOfVolume( points );
 
-        for ( var i = 0; i < points.length; i++ ) {
-            points[i][0] -= cov[0];
-            points[i][1] -= cov[1];
-            points[i][2] -= cov[2];
-        }
-    }
-
-    function centerPointCloudUnwrapped( points ) {
-        var covX = 0.0;	//center of colume for each coordinate
-        var covY = 0.0;
-        var covZ = 0.0;
-
-        for ( var i = 0; i < points.length; i += 3 ) {
-            covX += points[i];
-            covY += points[i+1];
-            covZ += points[i+2];
-        }
-
-        covX /= points.length;
-        covY /= points.length;
-        covZ /= points.length;
-
         for ( var i = 0; i < points.length; i += 3 ) {
-            points[i] -= covX;
-            points[i+1] -= covY;
-            points[i+2] -= covZ;
+            points[i] -= cov[0];
+            points[i+1] -= cov[1];
+            points[i+2] -= cov[2];
         }
-    }
+    };
 
 
     /**
      * Get the unwrapped (containing repeated vertices) array
      *
-     * @returns {Array} an array of floating point values, each group of three represents one point
+     * @param {Float32Array} v the wrapped array, three values for each vertex
+     * @param {Uint32Array} inds the triangle indices, three for each triangle
+     * @returns {Float32Array} an array of floating point values, each group of three represents one point
      */
     module.unwrapVectorArray = function( v, inds ) {
-        var verts = [];
+        var verts = new Float32Array( inds.length * 3 );
         for ( var i = 0; i < inds.length; i++ ) {
-            verts.push( v[inds[i][0]][0], v[inds[i][0]][1], v[inds[i][0]][2] );	//first vertex
-            verts.push( v[inds[i][1]][0], v[inds[i][1]][1], v[inds[i][1]][2] );	//second vertex
-            verts.push( v[inds[i][2]][0], v[inds[i][2]][1], v[inds[i][2]][2] );	//third vertex
+            verts[3*i] = v[ 3*inds[i] ];
+            verts[3*i+1] = v[ 3*inds[i]+1 ];
+            verts[3*i+2] = v[ 3*inds[i]+2 ];
         }
         return verts;
     };
 
     module.unwrapArray = function( v, inds ) {
-        var values = [];
+        var values = new Float32Array( inds.length );
         for ( var i = 0; i < inds.length; i++ ) {
-            values.push(
-                v[ inds[i][0] ],
-                v[ inds[i][1] ],
-                v[ inds[i][2] ]
-            );
+            values[i] = v[ inds[i] ];
         }
         return values;
     };
@@ -105,6 +66,7 @@ var morphoviewer = ( function( module ) {
     /**
      * Finds the min and max points of an array of vertices.
      *
+     * @param {Float32Array} verts the vertex coordinates, three for each vertex
      * @returns {Object} an object containing min and max fields, each containing x, y, and z fields.
      */
     module.getAabb = function( verts ) {
@@ -115,13 +77,13 @@ var morphoviewer = ( function( module ) {
             zmin = Number.POSITIVE_INFINITY,
             zmax = Number.NEGATIVE_INFINITY;
 
-        for ( var i = 0; i < verts.length; i++ ) {
-            if ( verts[i][0] < xmin ) { xmin = verts[i][0]; }
-            if ( verts[i][0] > xmax ) { xmax = verts[i][0]; }
-            if ( verts[i][1] < ymin ) { ymin = verts[i][1]; }
-            if ( verts[i][1] > ymax ) { ymax = verts[i][1]; }
-            if ( verts[i][2] < zmin ) { zmin = verts[i][2]; }
-            if ( verts[i][2] > zmax ) { zmax = verts[i][2]; }
+        for ( var i = 0; i < verts.length; i += 3 ) {
+            if ( verts[i] < xmin ) { xmin = verts[i]; }
+            if ( verts[i] > xmax ) { xmax = verts[i]; }
+            if ( verts[i+1] < ymin ) { ymin = verts[i+1]; }
+            if ( verts[i+1] > ymax ) { ymax = verts[i+1]; }
+            if ( verts[i+2] < zmin ) { zmin = verts[i+2]; }
+            if ( verts[i+2] > zmax ) { zmax = verts[i+2]; }
         }
 
         var sqrDist = ( xmax - xmin ) * (xmax - xmin );
@@ -138,150 +100,371 @@ var morphoviewer = ( function( module ) {
         };
     };
 
+    /*Wrapped and unwrapped arrays have the same layout, so the box is found the same way*/
     module.getAabbFromUnwrapped = function( verts ) {
-        var xmin = Number.POSITIVE_INFINITY,
-            xmax = Number.NEGATIVE_INFINITY,
-            ymin = Number.POSITIVE_INFINITY,
-            ymax = Number.NEGATIVE_INFINITY,
-            zmin = Number.POSITIVE_INFINITY,
-            zmax = Number.NEGATIVE_INFINITY;
+        return module.getAabb( verts );
+    };
 
-        for ( var i = 0; i < verts.length; i += 3 ) {
-            if ( verts[i] < xmin ) { xmin = verts[i]; }
-            if ( verts[i] > xmax ) { xmax = verts[i]; }
-            if ( verts[i+1] < ymin ) { ymin = verts[i+1]; }
-            if ( verts[i+1] > ymax ) { ymax = verts[i+1]; }
-            if ( verts[i+2] < zmin ) { zmin = verts[i+2]; }
-            if ( verts[i+2] > zmax ) { zmax = verts[i+2]; }
+    /**
+     * Build a triangulated mesh out of a set of points.
+     *
+     * @param {Float32Array} verts the point coordinates, three for each point
+     * @returns {Uint32Array} the triangle indices, three for each triangle
+     */
+    module.triangulate = function( verts ) {
+        //the triangulation wants each point as its own array
+        var points = new Array( verts.length / 3 );
+        for ( var i = 0; i < points.length; i++ ) {
+            points[i] = [ verts[3*i], verts[3*i+1] ];
         }
+        return new Uint32Array( Delaunay.triangulate( points ) );
+    };
 
-        var sqrDist = ( xmax - xmin ) * (xmax - xmin );
-        sqrDist += ( ymax - ymin ) * ( ymax - ymin );
-        sqrDist += ( zmax - zmin ) * ( zmax - zmin );
+    /**
+     * Welds the corners of a triangle soup into shared vertices, turning it into an indexed mesh. Corners closer
+     * to each other than the tolerance become one vertex, found with a spatial hash of cells the size of the
+     * tolerance, so only the neighboring cells need to be searched. Triangles which collapse into a line or a point
+     * are dropped.
+     *
+     * @param {Float32Array} verts the unwrapped vertex array, three coordinates for each triangle corner
+     * @param {Number} tolerance optional, the largest distance between welded corners. Defaults to a millionth of
+     * the bounding box diagonal.
+     * @returns {Object} an object containing the vertices field, a Float32Array of three coordinates for each
+     * vertex, and the triangles field, a Uint32Array of three indices for each triangle
+     */
+    module.weldVertices = function( verts, tolerance ) {
+        if ( tolerance === undefined ) {
+            tolerance = module.getAabbFromUnwrapped( verts ).length * 1e-6;
+        }
+        var vertices = new module.ArrayBuilder( Float32Array, Math.ceil( verts.length / 3 ) );
+        var triangles = new module.ArrayBuilder( Uint32Array, Math.ceil( verts.length / 3 ) );
+        var count = 0;
+        var cells = {};
+        var sqrTolerance = tolerance * tolerance;
+        //with a zero tolerance only identical corners are welded, and they all end up in the same cell
+        var cellSize = tolerance > 0 ? tolerance : 1;
 
-        return {
-            min: { x: xmin, y: ymin, z: zmin },
-            max: { x: xmax, y: ymax, z: zmax },
-            center: { x: xmin+xmax / 2.0, y: ymin+ymax / 2.0, z: zmin+zmax / 2.0 },
-            length: Math.sqrt( sqrDist )
+        //cells which hash to the same key share a bucket, which only costs a few more distance checks
+        var cellKey = function( x, y, z ) {
+            return ( x * 73856093 ) ^ ( y * 19349663 ) ^ ( z * 83492791 );
+        };
+
+        var findOrAdd = function( x, y, z ) {
+            var cx = Math.floor( x / cellSize );
+            var cy = Math.floor( y / cellSize );
+            var cz = Math.floor( z / cellSize );
+            for ( var i = -1; i <= 1; i++ ) {
+                for ( var j = -1; j <= 1; j++ ) {
+                    for ( var k = -1; k <= 1; k++ ) {
+                        var cell = cells[ cellKey( cx + i, cy + j, cz + k ) ];
+                        if ( cell === undefined ) {
+                            continue;
+                        }
+                        for ( var n = 0; n < cell.length; n++ ) {
+                            var v = 3 * cell[n];
+                            var dx = vertices.array[v] - x, dy = vertices.array[v+1] - y, dz = vertices.array[v+2] - z;
+                            if ( dx*dx + dy*dy + dz*dz <= sqrTolerance ) {
+                                return cell[n];
+                            }
+                        }
+                    }
+                }
+            }
+            var key = cellKey( cx, cy, cz );
+            if ( cells[key] === undefined ) {
+                cells[key] = [];
+            }
+            cells[key].push( count );
+            vertices.push( x );
+            vertices.push( y );
+            vertices.push( z );
+            return count++;
         };
+
+        for ( var i = 0; i + 8 < verts.length; i += 9 ) {
+            var a = findOrAdd( verts[i], verts[i+1], verts[i+2] );
+            var b = findOrAdd( verts[i+3], verts[i+4], verts[i+5] );
+            var c = findOrAdd( verts[i+6], verts[i+7], verts[i+8] );
+            if ( a !== b && b !== c && a !== c ) {
+                triangles.push( a );
+                triangles.push( b );
+                triangles.push( c );
+            }
+        }
+        return { vertices: vertices.toArray(), triangles: triangles.toArray() };
     };
 
     /**
-     * Build a triangulated mesh out of a set of points.
+     * Clips a mesh with a plane, keeping the part on the positive side of it. The triangles straddling the plane
+     * are cut along it, and the new vertices where an edge crosses the plane are shared by the triangles on either
+     * side of the edge, so the clipped mesh stays connected.
      *
-     * @param {Array} verts an array of triplets, where each triplet represents a point coordinate
-     * @returns {Array} an array containing triplets of indices denoting triangles
+     * @param {Float32Array} verts the wrapped vertices
+     * @param {Uint32Array} tris the triangle indices
+     * @param {Object} plane the plane, such as a Plane, whose eval function is positive on the side kept
+     * @param {Array} arrays optional, Float32Arrays of three values for each vertex, such as the normals or the
+     * colors, which are interpolated for the new vertices. Interpolated normals need to be normalized again.
+     * @returns {Object} an object containing the vertices field, a Float32Array of three coordinates for each
+     * vertex, the triangles field, a Uint32Array of three indices for each triangle, and the arrays field, the
+     * clipped arrays in the same order
      */
-    module.triangulate = function( verts ) {
-        var unwrapped_tris = Delaunay.triangulate( verts );
-        var tris = [];
-        for ( var i = 0; i < unwrapped_tris.length; i+=3 ) {
-            tris.push( [
-                unwrapped_tris[i],
-                unwrapped_tris[i+1],
-                unwrapped_tris[i+2]
-            ]);
-        }
-        return tris;
+    module.clipMesh = function( verts, tris, plane, arrays ) {
+        arrays = arrays || [];
+        var vertexCount = verts.length / 3;
+        var distance = new Float64Array( vertexCount );
+        var v = vec3.create();
+        for ( var i = 0; i < vertexCount; i++ ) {
+            distance[i] = plane.eval( vec3.set( v, verts[3*i], verts[3*i+1], verts[3*i+2] ) );
+        }
+
+        var vertices = new module.ArrayBuilder( Float32Array, verts.length );
+        var clipped = arrays.map( function( array ) {
+            return new module.ArrayBuilder( Float32Array, array.length );
+        } );
+        var triangles = new module.ArrayBuilder( Uint32Array, tris.length );
+        var count = 0;
+        //the new index of each kept vertex plus one, zero for the vertices not kept yet
+        var remap = new Uint32Array( vertexCount );
+        //the new vertices on the edges crossing the plane, by the inside and outside vertex of the edge
+        var crossings = {};
+
+        var push = function( a, b, t ) {
+            for ( var k = 0; k < 3; k++ ) {
+                vertices.push( verts[3*a+k] + t * ( verts[3*b+k] - verts[3*a+k] ) );
+            }
+            for ( var j = 0; j < arrays.length; j++ ) {
+                for ( var k = 0; k < 3; k++ ) {
+                    clipped[j].push( arrays[j][3*a+k] + t * ( arrays[j][3*b+k] - arrays[j][3*a+k] ) );
+                }
+            }
+            return count++;
+        };
+        var keep = function( a ) {
+            if ( remap[a] === 0 ) {
+                remap[a] = push( a, a, 0.0 ) + 1;
+            }
+            return remap[a] - 1;
+        };
+        //a is inside, and b outside
+        var cross = function( a, b ) {
+            if ( distance[a] === 0.0 ) {
+                return keep( a );
+            }
+            var key = a + "," + b;
+            if ( crossings[key] === undefined ) {
+                crossings[key] = push( a, b, distance[a] / ( distance[a] - distance[b] ) );
+            }
+            return crossings[key];
+        };
+        //the triangles with a corner on the plane may collapse
+        var add = function( a, b, c ) {
+            if ( a !== b && b !== c && c !== a ) {
+                triangles.push( a );
+                triangles.push( b );
+                triangles.push( c );
+            }
+        };
+
+        for ( var i = 0; i < tris.length; i += 3 ) {
+            var t = [ tris[i], tris[i+1], tris[i+2] ];
+            var d = [ distance[ t[0] ], distance[ t[1] ], distance[ t[2] ] ];
+            //a triangle which only touches the plane has no area on the positive side
+            if ( d[0] <= 0.0 && d[1] <= 0.0 && d[2] <= 0.0 ) {
+                continue;
+            }
+            var inside = ( d[0] >= 0.0 ? 1 : 0 ) + ( d[1] >= 0.0 ? 1 : 0 ) + ( d[2] >= 0.0 ? 1 : 0 );
+            if ( inside === 3 ) {
+                add( keep( t[0] ), keep( t[1] ), keep( t[2] ) );
+                continue;
+            }
+            //rotate the corners, keeping the winding, so that the one on its own side of the plane comes first
+            var k = 0;
+            while ( ( d[k] >= 0.0 ) !== ( inside === 1 ) ) {
+                k++;
+            }
+            var a = t[k], b = t[ ( k + 1 ) % 3 ], c = t[ ( k + 2 ) % 3 ];
+            if ( inside === 1 ) {
+                add( keep( a ), cross( a, b ), cross( a, c ) );
+            } else {
+                var ba = cross( b, a ), ca = cross( c, a );
+                add( keep( b ), keep( c ), ca );
+                add( keep( b ), ca, ba );
+            }
+        }
+
+        return {
+            vertices: vertices.toArray(),
+            triangles: triangles.toArray(),
+            arrays: clipped.map( function( array ) {
+                return array.toArray();
+            } )
+        };
     };
+
     /**
      * Calculates face normals for each triangle. This operation has O(N) time
      * complexity.
      *
-     * @param {Array} verts an array of coordinates, arranged in triplets for each point.
-     * @param {Array} ind an array of indices, arranged in triplets
-     * @returns {Array} an array which matches a normal with each vertex in the input array.
+     * @param {Float32Array} verts an array of coordinates, arranged in triplets for each point.
+     * @param {Uint32Array} ind an array of indices, arranged in triplets
+     * @returns {Float32Array} an array which matches a normal with each vertex in the input array.
      */
     module.faceNormals = function( verts, ind ) {
-        var norms = new Array( verts.length );
-        for ( var i = 0; i < ind.length; i++ ) {
-            var a = vec3.fromValues(
-                    verts[ ind[i][1] ][0] - verts[ ind[i][0] ][0],
-                    verts[ ind[i][1] ][1] - verts[ ind[i][0] ][1],
-                    verts[ ind[i][1] ][2] - verts[ ind[i][0] ][2]
-            );
-            var b = vec3.fromValues(
-                    verts[ ind[i][2] ][0] - verts[ ind[i][0] ][0],
-                    verts[ ind[i][2] ][1] - verts[ ind[i][0] ][1],
-                    verts[ ind[i][2] ][2] - verts[ ind[i][0] ][2]
-            );
-            var n = vec3.cross( vec3.create(), a, b );
+        var norms = faceVectors( verts, ind );
+        var n = vec3.create();
+        for ( var i = 0; i < norms.length; i += 3 ) {
+            vec3.set( n, norms[i], norms[i+1], norms[i+2] );
             vec3.normalize( n, n );
-
-            norms[ ind[i][0] ] = [ n[0], n[1], n[2] ];
-            norms[ ind[i][1] ] = [ n[0], n[1], n[2] ];
-            norms[ ind[i][2] ] = [ n[0], n[1], n[2] ];
+            norms.set( n, i );
         }
         return norms;
     };
 
     /*Pretty much the same, except for the lack of normalization*/
     function faceVectors( verts, ind ) {
-        var norms = new Array( verts.length );
-        for ( var i = 0; i < ind.length; i++ ) {
-            var a = vec3.fromValues(
-                    verts[ ind[i][1] ][0] - verts[ ind[i][0] ][0],
-                    verts[ ind[i][1] ][1] - verts[ ind[i][0] ][1],
-                    verts[ ind[i][1] ][2] - verts[ ind[i][0] ][2]
-            );
-            var b = vec3.fromValues(
-                    verts[ ind[i][2] ][0] - verts[ ind[i][0] ][0],
-                    verts[ ind[i][2] ][1] - verts[ ind[i][0] ][1],
-                    verts[ ind[i][2] ][2] - verts[ ind[i][0] ][2]
-            );
-            var n = vec3.cross( vec3.create(), a, b );
+        var norms = new Float32Array( verts.length );
+        var a = vec3.create();
+        var b = vec3.create();
+        var n = vec3.create();
+        for ( var i = 0; i < ind.length; i += 3 ) {
+            var i0 = 3 * ind[i], i1 = 3 * ind[i+1], i2 = 3 * ind[i+2];
+            vec3.set( a, verts[i1] - verts[i0], verts[i1+1] - verts[i0+1], verts[i1+2] - verts[i0+2] );
+            vec3.set( b, verts[i2] - verts[i0], verts[i2+1] - verts[i0+1], verts[i2+2] - verts[i0+2] );
+            vec3.cross( n, a, b );
 
-            norms[ ind[i][0] ] = [ n[0], n[1], n[2] ];
-            norms[ ind[i][1] ] = [ n[0], n[1], n[2] ];
-            norms[ ind[i][2] ] = [ n[0], n[1], n[2] ];
+            norms.set( n, i0 );
+            norms.set( n, i1 );
+            norms.set( n, i2 );
         }
         return norms;
     }
 
+    /**
+     * Builds the vertex adjacency list of a mesh. The list is stored compressed: the neighbors of vertex i are
+     * neighbors[ offsets[i] ] to neighbors[ offsets[i+1] - 1 ]. Each triangle adds its two other corners to the
+     * neighbors of a vertex, so neighbors shared by two triangles appear twice.
+     *
+     * @param {Float32Array} verts the vertex coordinates, three for each vertex
+     * @param {Uint32Array} ind the triangle indices, three for each triangle
+     * @returns {Object} an object containing the offsets and neighbors fields, both Uint32Arrays
+     */
     module.adjacencyList = function( verts, ind ) {
-        var adjacency = new Array( verts.length );
-        for ( var i = 0; i < verts.length; i++ ) {
-            adjacency[i] = [];
+        var vertexCount = verts.length / 3;
+        var offsets = new Uint32Array( vertexCount + 1 );
+        for ( var i = 0; i < ind.length; i++ ) {
+            offsets[ ind[i] + 1 ] += 2;
         }
+        for ( var i = 0; i < vertexCount; i++ ) {
+            offsets[i+1] += offsets[i];
+        }
+
+        var neighbors = new Uint32Array( offsets[vertexCount] );
+        var next = offsets.slice( 0, vertexCount );
+        for ( var i = 0; i < ind.length; i += 3 ) {
+            var a = ind[i], b = ind[i+1], c = ind[i+2];
+            neighbors[ next[a]++ ] = b;
+            neighbors[ next[a]++ ] = c;
+            neighbors[ next[b]++ ] = a;
+            neighbors[ next[b]++ ] = c;
+            neighbors[ next[c]++ ] = a;
+            neighbors[ next[c]++ ] = b;
+        }
+
+        return { offsets: offsets, neighbors: neighbors };
+    };
+
+    /**
+     * Calculates one unit normal for each triangle, unlike faceNormals, which repeats them for the vertices.
+     *
+     * @param {Float32Array} verts the vertex coordinates, three for each vertex
+     * @param {Uint32Array} ind the triangle indices, three for each triangle
+     * @returns {Float32Array} the normals, three coordinates for each triangle
+     */
+    module.triangleNormals = function( verts, ind ) {
+        var norms = new Float32Array( ind.length );
+        for ( var i = 0; i < ind.length; i += 3 ) {
+            var i0 = 3 * ind[i], i1 = 3 * ind[i+1], i2 = 3 * ind[i+2];
+            var ux = verts[i1] - verts[i0], uy = verts[i1+1] - verts[i0+1], uz = verts[i1+2] - verts[i0+2];
+            var vx = verts[i2] - verts[i0], vy = verts[i2+1] - verts[i0+1], vz = verts[i2+2] - verts[i0+2];
+            var nx = uy*vz - uz*vy, ny = uz*vx - ux*vz, nz = ux*vy - uy*vx;
+            var length = Math.sqrt( nx*nx + ny*ny + nz*nz );
+            if ( length > 0.0 ) {
+                norms[i] = nx / length;
+                norms[i+1] = ny / length;
+                norms[i+2] = nz / length;
+            }
+        }
+        return norms;
+    };
+
+    /**
+     * Builds the face adjacency list of a mesh, stored compressed like the vertex adjacency list. Two triangles are
+     * neighbors when they share an edge, so on a manifold mesh each triangle has at most three neighbors.
+     *
+     * @param {Uint32Array} ind the triangle indices, three for each triangle
+     * @param {Number} vertexCount the number of vertices the indices refer to
+     * @returns {Object} an object containing the offsets and neighbors fields, both Uint32Arrays
+     */
+    module.faceAdjacency = function( ind, vertexCount ) {
+        var faceCount = ind.length / 3;
+
+        //the triangles around each vertex
+        var cornerOffsets = new Uint32Array( vertexCount + 1 );
+        for ( var i = 0; i < ind.length; i++ ) {
+            cornerOffsets[ ind[i] + 1 ]++;
+        }
+        for ( var i = 0; i < vertexCount; i++ ) {
+            cornerOffsets[i+1] += cornerOffsets[i];
+        }
+        var corners = new Uint32Array( ind.length );
+        var next = cornerOffsets.slice( 0, vertexCount );
         for ( var i = 0; i < ind.length; i++ ) {
-            adjacency[ ind[i][0] ].push( ind[i][1], ind[i][2] );
-            adjacency[ ind[i][1] ].push( ind[i][0], ind[i][2] );
-            adjacency[ ind[i][2] ].push( ind[i][0], ind[i][1] );
+            corners[ next[ ind[i] ]++ ] = ( i / 3 ) | 0;
         }
 
-        return adjacency;
+        var offsets = new Uint32Array( faceCount + 1 );
+        var neighbors = new module.ArrayBuilder( Uint32Array, ind.length );
+        for ( var f = 0; f < faceCount; f++ ) {
+            for ( var e = 0; e < 3; e++ ) {
+                var a = ind[ 3*f + e ], b = ind[ 3*f + ( e + 1 ) % 3 ];
+                //the other triangles around a which have b as a corner share the edge
+                for ( var k = cornerOffsets[a]; k < cornerOffsets[a+1]; k++ ) {
+                    var g = corners[k];
+                    if ( g !== f && ( ind[3*g] === b || ind[3*g+1] === b || ind[3*g+2] === b ) ) {
+                        neighbors.push( g );
+                    }
+                }
+            }
+            offsets[f+1] = neighbors.length;
+        }
+
+        return { offsets: offsets, neighbors: neighbors.toArray() };
     };
 
     /**
      * Calculates the per-vertex normal for each vertex in an array list. This operation
      * has O(N) time complexity.
      *
-     * @param {Array} verts an array of triplets, where each triplet represents a coordinate
-     * @param {Array} ind an array of triplets, where each triplet represents a triangle (three indices into vertex array)
-     * @returns {Array} an array which matches a vertex array with each vertex given in the input array.
+     * @param {Float32Array} verts the vertex coordinates, three for each vertex
+     * @param {Uint32Array} ind the triangle indices, three for each triangle
+     * @param {Object} adjacency the adjacency list, as returned by adjacencyList
+     * @returns {Float32Array} an array which matches a normal with each vertex given in the input array.
      */
     module.vertexNormals = function( verts, ind, adjacency ) {
         var faceVecs = faceVectors( verts, ind );
-        var norms = new Array( verts.length );
-
-        for ( var i = 0; i < verts.length; i++ ) {
-            var n = vec3.fromValues( 0.0, 0.0, 0.0 );
-            for ( var j = 0; j < adjacency[i].length; j++ ) {
-                vec3.add( n,
-                    n,
-                    vec3.fromValues(
-                        faceVecs[ adjacency[i][j] ][0],
-                        faceVecs[ adjacency[i][j] ][1],
-                        faceVecs[ adjacency[i][j] ][2]
-                    )
-                );
+        var norms = new Float32Array( verts.length );
+        var n = vec3.create();
+
+        for ( var i = 0; i < verts.length / 3; i++ ) {
+            vec3.set( n, 0.0, 0.0, 0.0 );
+            for ( var j = adjacency.offsets[i]; j < adjacency.offsets[i+1]; j++ ) {
+                var k = 3 * adjacency.neighbors[j];
+                n[0] += faceVecs[k];
+                n[1] += faceVecs[k+1];
+                n[2] += faceVecs[k+2];
             }
             vec3.normalize( n, n );
-            norms[i] = new Array(3);
-            norms[i][0] = n[0];
-            norms[i][1] = n[1];
-            norms[i][2] = n[2];
+            norms.set( n, 3*i );
         }
 
         return norms;
@@ -294,31 +477,33 @@ var morphoviewer = ( function( module ) {
      * a new technique of molar shape quantification for dietary inference,
      * with previous methods in isolation and in combination".
      *
-     * @param {Array} verts unwrapped vertex array
-     * @param {Array} vNorms unwrapped vertex normal array
-     * @returns {Array} Gives each vertex a color based on the surface variation of the polygon.
+     * @param {Float32Array} verts the vertex coordinates, three for each vertex
+     * @param {Float32Array} vNorms the vertex normals, three for each vertex
+     * @param {Uint32Array} tris the triangle indices, three for each triangle
+     * @returns {Float32Array} the surface variation of each triangle, normalized by the largest one
      */
-    module.surfaceVariation = function( verts, vNorms ) {
+    module.surfaceVariation = function( verts, vNorms, tris ) {
         var largest = Number.NEGATIVE_INFINITY;	//the values should only be positive
         var smallest = Number.POSITIVE_INFINITY;
-        var scalars = [];
+        var scalars = new Float32Array( tris.length / 3 );
         //the energy density at point p is calculated from
         // e(p) = tr(G^-1 * H), where G and H are matrices:
         // G = ( dot(u,u), dot(u,v), dot(uv), dot(vv)) and
         // H = ( dot(nu,nu), dot(nu, nv), dot(nu, nv), dot(nv, nv) )
         //this essentially measures how "spread out" the vertex normals are for
         //each triangle
-        for ( var i = 0; i < verts.length; i += 9 ) {
+        for ( var i = 0; i < tris.length; i += 3 ) {
+            var i0 = 3 * tris[i], i1 = 3 * tris[i+1], i2 = 3 * tris[i+2];
             //build the matrix G
             var u = vec3.fromValues(
-                    verts[i+3] - verts[i],
-                    verts[i+4] - verts[i+1],
-                    verts[i+5] - verts[i+2]
+                    verts[i1] - verts[i0],
+                    verts[i1+1] - verts[i0+1],
+                    verts[i1+2] - verts[i0+2]
             );
             var v = vec3.fromValues(
-                    verts[i+6] - verts[i],
-                    verts[i+7] - verts[i+1],
-                    verts[i+8] - verts[i+2]
+                    verts[i2] - verts[i0],
+                    verts[i2+1] - verts[i0+1],
+                    verts[i2+2] - verts[i0+2]
             );
             var G = mat2.create();
             G[0] = vec3.dot( u, u );
@@ -328,14 +513,14 @@ var morphoviewer = ( function( module ) {
 
             //build the matrix H
             var nu = vec3.fromValues(
-                    vNorms[i+3] - vNorms[i],
-                    vNorms[i+4] - vNorms[i+1],
-                    vNorms[i+5] - vNorms[i+2]
+                    vNorms[i1] - vNorms[i0],
+                    vNorms[i1+1] - vNorms[i0+1],
+                    vNorms[i1+2] - vNorms[i0+2]
             );
             var nv = vec3.fromValues(
-                    vNorms[i+6] - vNorms[i],
-                    vNorms[i+7] - vNorms[i+1],
-                    vNorms[i+8] - vNorms[i+2]
+                    vNorms[i2] - vNorms[i0],
+                    vNorms[i2+1] - vNorms[i0+1],
+                    vNorms[i2+2] - vNorms[i0+2]
             );
             var H = mat2.create();
             H[0] = vec3.dot( nu, nu );
@@ -351,9 +536,7 @@ var morphoviewer = ( function( module ) {
             trace = clampTrace( trace );
 
             //we store one scalar value per triangle
-            scalars.push( trace );
-            scalars.push( trace );
-            scalars.push( trace );
+            scalars[i/3] = trace;
 
             //store the largest encountered trace for normalization
             if ( trace > largest ) {
@@ -380,18 +563,122 @@ var morphoviewer = ( function( module ) {
         return trace;
     }
 
-    /* norms: the unwrapped vertex normals
+    /**
+     * Checks whether an edge belongs to only one triangle. Each triangle adds its other two corners to the
+     * neighbors of a vertex, so an edge shared by two triangles appears twice in the adjacency list.
+     * */
+    function isBoundaryEdge( adjacency, a, b ) {
+        var count = 0;
+        for ( var i = adjacency.offsets[a]; i < adjacency.offsets[a+1]; i++ ) {
+            if ( adjacency.neighbors[i] === b ) {
+                count++;
+            }
+        }
+        return count === 1;
+    }
+
+    /**
+     * Calculates the Dirichlet normal energy (DNE) of the surface, as defined in Bunn et al., "Comparing Dirichlet
+     * normal surface energy of tooth crowns, a new technique of molar shape quantification for dietary inference,
+     * with previous methods in isolation and in combination". The energy density of each triangle is
+     * e = tr(G^-1 * H), computed as in surfaceVariation but without the clamping and normalization, and the DNE
+     * is the sum of the energy density times the area over the triangles.
+     *
+     * As in the publication, the triangles whose energy times area is above the 99.9th percentile are left out as
+     * outliers. Triangles with an edge on the boundary of the mesh, whose normals tend to be poor, can be left
+     * out as well.
+     *
+     * @param {Float32Array} verts the wrapped vertex coordinates, three for each vertex
+     * @param {Float32Array} norms the wrapped vertex normals, three for each vertex
+     * @param {Uint32Array} tris the triangle indices, three for each triangle
+     * @param {Object} adjacency the adjacency list, as returned by adjacencyList
+     * @param {Object} options optional, an object containing any of the fields percentile, above which the
+     * energies times areas are outliers (99.9 by default, 100 keeps all of them), and excludeBoundary, whether to
+     * leave out the triangles on the boundary (false by default)
+     * @returns {Object} an object containing the total DNE, faces, the energy times area of each triangle, and
+     * excluded, which is 1 for the triangles left out of the total and 0 for the others
+     * */
+    module.dne = function( verts, norms, tris, adjacency, options ) {
+        options = options || {};
+        var percentile = options.percentile !== undefined ? options.percentile : 99.9;
+        var faceCount = tris.length / 3;
+        var faces = new Float64Array( faceCount );
+        var excluded = new Uint8Array( faceCount );
+
+        for ( var i = 0; i < faceCount; i++ ) {
+            var a = 3 * tris[3*i], b = 3 * tris[3*i+1], c = 3 * tris[3*i+2];
+            var ux = verts[b] - verts[a], uy = verts[b+1] - verts[a+1], uz = verts[b+2] - verts[a+2];
+            var vx = verts[c] - verts[a], vy = verts[c+1] - verts[a+1], vz = verts[c+2] - verts[a+2];
+            var nux = norms[b] - norms[a], nuy = norms[b+1] - norms[a+1], nuz = norms[b+2] - norms[a+2];
+            var nvx = norms[c] - norms[a], nvy = norms[c+1] - norms[a+1], nvz = norms[c+2] - norms[a+2];
+
+            var g0 = ux*ux + uy*uy + uz*uz;
+            var g1 = ux*vx + uy*vy + uz*vz;
+            var g3 = vx*vx + vy*vy + vz*vz;
+            var h0 = nux*nux + nuy*nuy + nuz*nuz;
+            var h1 = nux*nvx + nuy*nvy + nuz*nvz;
+            var h3 = nvx*nvx + nvy*nvy + nvz*nvz;
+
+            //the determinant of G is the squared length of the cross product of u and v, twice the area
+            var det = g0*g3 - g1*g1;
+            if ( det <= 0.0 ) {
+                //a triangle without an area has no energy either
+                continue;
+            }
+            var energy = ( g3*h0 - 2.0*g1*h1 + g0*h3 ) / det;
+            faces[i] = energy * 0.5 * Math.sqrt( det );
+        }
+
+        if ( options.excludeBoundary ) {
+            for ( var i = 0; i < faceCount; i++ ) {
+                for ( var j = 0; j < 3; j++ ) {
+                    if ( isBoundaryEdge( adjacency, tris[3*i+j], tris[3*i+(j+1)%3] ) ) {
+                        excluded[i] = 1;
+                    }
+                }
+            }
+        }
+
+        //the nearest rank percentile of the triangles which are left
+        var kept = new Float64Array( faceCount );
+        var keptCount = 0;
+        for ( var i = 0; i < faceCount; i++ ) {
+            if ( !excluded[i] ) {
+                kept[keptCount++] = faces[i];
+            }
+        }
+        if ( keptCount > 0 && percentile < 100.0 ) {
+            var sorted = kept.subarray( 0, keptCount ).sort();
+            var limit = sorted[ Math.max( 0, Math.ceil( percentile / 100.0 * sorted.length ) - 1 ) ];
+            for ( var i = 0; i < faceCount; i++ ) {
+                if ( faces[i] > limit ) {
+                    excluded[i] = 1;
+                }
+            }
+        }
+
+        var total = 0.0;
+        for ( var i = 0; i < faceCount; i++ ) {
+            if ( !excluded[i] ) {
+                total += faces[i];
+            }
+        }
+        return { total: total, faces: faces, excluded: excluded };
+    };
+
+    /* norms: the vertex normals
+     * bins: optional, the number of orientations to consider, 8 by default
      * returns: an array of scalars for each vertex representing the orientation*/
-    module.surfaceOrientation = function( norms ) {
-        var regions = [];
-        var n = 8;	//the number of orientations we are going to consider
+    module.surfaceOrientation = function( norms, bins ) {
+        var regions = new Float32Array( norms.length / 3 );
+        var n = bins || 8;	//the number of orientations we are going to consider
         for ( var i = 0; i < norms.length; i += 3 ) {
             var or = vec2.normalize( vec2.create(), vec2.fromValues( norms[i], norms[i+1]) );
             var theta = module.angleRangeClamp( Math.atan2( or[1], or[0] ) );
             var region = Math.floor( theta / ( 2.0 * Math.PI / n) );	//find the region number in [1, n]
 
             region /= n-1;	//normalize!
-            regions.push( region );
+            regions[i/3] = region;
         }
         return regions;
     };
@@ -400,22 +687,25 @@ var morphoviewer = ( function( module ) {
     /**
      * Returns the surface orientation values about the forward transform of the camera
      *
-     * norms - a vector of unwrapped vertex normals
+     * norms - a vector of vertex normals
      * mat - the camera rotation matrix
+     * bins - optional, the number of orientations to consider, 8 by default
+     * rotation - optional, an angle in radians by which the orientations are rotated about the forward vector
      * */
-    module.surfaceOrientationAboutCamera = function( norms, mat ) {
-        var regions = [];
-        var n = 8;  //the number of orientations we are going to consider
+    module.surfaceOrientationAboutCamera = function( norms, mat, bins, rotation ) {
+        var regions = new Float32Array( norms.length / 3 );
+        var n = bins || 8;  //the number of orientations we are going to consider
+        rotation = rotation || 0.0;
         for ( var i = 0; i < norms.length; i+= 3 ) {
             //horrid manual matrix math, to avoid object allocation
             var v1 = mat[0]*norms[i] + mat[1]*norms[i+1] + mat[2]*norms[i+2];
-            var v2 = mat[3]*norms[i] + mat[4]*norms[i+1] + mat[3]*norms[i+2];
+            var v2 = mat[3]*norms[i] + mat[4]*norms[i+1] + mat[5]*norms[i+2];
             var or = vec2.normalize( vec2.create(), vec2.fromValues(v1, v2) );
-            var theta = module.angleRangeClamp( Math.atan2( or[1], or[0] ) );
+            var theta = module.angleRangeClamp( Math.atan2( or[1], or[0] ) + rotation );
             var region = Math.floor( theta / ( 2.0 * Math.PI / n) );
 
             region /= n-1;
-            regions.push( region );
+            regions[i/3] = region;
         }
         return regions;
     };
@@ -430,16 +720,17 @@ var morphoviewer = ( function( module ) {
         /*
         * The area is calculated exactly the same way as below, in opc()
         * */
-        for ( var i = 0; i < tris.length; i++ ) {
+        for ( var i = 0; i < tris.length; i += 3 ) {
+            var i0 = 3 * tris[i], i1 = 3 * tris[i+1], i2 = 3 * tris[i+2];
             var a = [
-                verts[tris[i][0]][0] - verts[tris[i][1]][0],
-                verts[tris[i][0]][1] - verts[tris[i][1]][1],
-                verts[tris[i][0]][2] - verts[tris[i][1]][2]
+                verts[i0] - verts[i1],
+                verts[i0+1] - verts[i1+1],
+                verts[i0+2] - verts[i1+2]
             ];
             var b = [
-                verts[tris[i][0]][0] - verts[tris[i][2]][0],
-                verts[tris[i][0]][1] - verts[tris[i][2]][1],
-                verts[tris[i][0]][2] - verts[tris[i][2]][2]
+                verts[i0] - verts[i2],
+                verts[i0+1] - verts[i2+1],
+                verts[i0+2] - verts[i2+2]
             ];
             var r = [
                 a[1]*b[2] - a[2]*b[1],
@@ -451,25 +742,96 @@ var morphoviewer = ( function( module ) {
         return size;
     };
 
-    module.opc = function( verts, adjacency, orientation, lowerPercentage, totalArea ) {
-        var explored = [];
-        for ( var i = 0; i < verts.length; i++ ) {
-            explored.push( false );
+    /**
+     * @brief Calculate the area of the footprint of the mesh, as seen along an axis.
+     *
+     * The triangles facing the viewer are projected on the plane perpendicular to the axis, and their areas summed.
+     * This is the area of the outline when no part of the surface hides another part facing the viewer, which
+     * holds for a crown seen from the occlusal side.
+     *
+     * @param {Float32Array} verts the wrapped vertices
+     * @param {Uint32Array} tris the triangle indices
+     * @param {Array} axis the direction the mesh is viewed along, as the camera's forward vector
+     * @returns {Number} the projected area
+     * */
+    module.projectedArea = function( verts, tris, axis ) {
+        var length = Math.sqrt( axis[0]*axis[0] + axis[1]*axis[1] + axis[2]*axis[2] );
+        var ax = axis[0] / length, ay = axis[1] / length, az = axis[2] / length;
+        var area = 0.0;
+        for ( var i = 0; i < tris.length; i += 3 ) {
+            var i0 = 3 * tris[i], i1 = 3 * tris[i+1], i2 = 3 * tris[i+2];
+            var ux = verts[i1] - verts[i0], uy = verts[i1+1] - verts[i0+1], uz = verts[i1+2] - verts[i0+2];
+            var vx = verts[i2] - verts[i0], vy = verts[i2+1] - verts[i0+1], vz = verts[i2+2] - verts[i0+2];
+            // the cross product points out of the front face, towards the viewer when facing it
+            var facing = -( ax * ( uy*vz - uz*vy ) + ay * ( uz*vx - ux*vz ) + az * ( ux*vy - uy*vx ) );
+            if ( facing > 0.0 ) {
+                area += facing;
+            }
         }
+        return 0.5 * area;
+    };
+
+    /**
+     * @brief Calculate the relief index (RFI) of the mesh, as in Boyer (2008).
+     *
+     * The RFI is the natural logarithm of the square root of the ratio of the surface area to the projected
+     * area of the footprint, ln( sqrt( A3D ) / sqrt( A2D ) ).
+     *
+     * @param {Float32Array} verts the wrapped vertices
+     * @param {Uint32Array} tris the triangle indices
+     * @param {Array} axis the direction the mesh is viewed along, as in projectedArea
+     * @returns {Object} an object containing the rfi, surfaceArea and projectedArea
+     * */
+    module.rfi = function( verts, tris, axis ) {
+        //modelArea sums the cross products, which are twice the triangle areas
+        var surfaceArea = module.modelArea( verts, tris ) / 2.0;
+        var projectedArea = module.projectedArea( verts, tris, axis );
+        return {
+            rfi: Math.log( Math.sqrt( surfaceArea ) / Math.sqrt( projectedArea ) ),
+            surfaceArea: surfaceArea,
+            projectedArea: projectedArea
+        };
+    };
+
+    /**
+     * @brief Find the orientation patches of the mesh, the connected groups of vertices with the same orientation.
+     *
+     * The patches are explored from the first vertex, depth first, moving on to the neighboring patches at their
+     * boundaries. The size of a patch is accumulated from the cross products of the consecutive same-orientation
+     * neighbors of each vertex in it, and a patch is counted when its size, as a fraction of totalArea, is above
+     * lowerPercentage.
+     *
+     * @param {Float32Array} verts the wrapped vertices
+     * @param {Object} adjacency the adjacency list of the vertices
+     * @param {Float32Array} orientation the orientation of each vertex, as returned by surfaceOrientationAboutCamera
+     * @param {Number} lowerPercentage the fraction of the total area a patch has to exceed to be counted
+     * @param {Number} totalArea the total area, as returned by modelArea
+     * @param {Number} bins optional, the number of orientations the orientation was calculated with, 8 by default
+     * @returns {Array} an array of patches, objects containing the bin, the orientation number of the patch, the
+     * size, the fraction of the total area, vertices, a Uint32Array of the vertex indices, and counted, whether
+     * the patch is counted
+     * */
+    module.opcPatches = function( verts, adjacency, orientation, lowerPercentage, totalArea, bins ) {
+        bins = bins || 8;
+        var explored = new Uint8Array( verts.length / 3 );
         var stack = [];
-        var count = 0;
+        var patches = [];
 
         var explore = function explr( verts, adjacency, orientation, index ) {
             var recursion = [];
+            var members = [];
             var size = 0;
             recursion.push( index );
             do {
                 var k = recursion.pop();
-                a = null;
-                b = null;
-                explored[k] = true;
-                for (var n = 0; n < adjacency[k].length; n++) {
-                    var neighbor = adjacency[k][n];
+                var a = null;
+                var b = null;
+                if ( !explored[k] ) {
+                    members.push( k );
+                }
+                explored[k] = 1;
+                for ( var n = adjacency.offsets[k]; n < adjacency.offsets[k+1]; n++ ) {
+                    var neighbor = adjacency.neighbors[n];
                     /*
                      * If we haven't already visited the vertex, then
                      * */
@@ -483,9 +845,9 @@ var morphoviewer = ( function( module ) {
                         if (orientation[neighbor] === orientation[k]) {
                             b = a;
                             a = [
-                                verts[n][0] - verts[k][0],
-                                verts[n][1] - verts[k][2],
-                                verts[n][1] - verts[k][2]
+                                verts[3*neighbor] - verts[3*k],
+                                verts[3*neighbor+1] - verts[3*k+1],
+                                verts[3*neighbor+2] - verts[3*k+2]
                             ];
                             if ( a && b ) {
                                 var r = [
@@ -506,23 +868,209 @@ var morphoviewer = ( function( module ) {
                     }
                 }
             } while( recursion.length != 0 );
-            return size;
+            return { size: size, members: members };
         };
 
+        if ( explored.length === 0 ) {
+            return patches;
+        }
         stack.push(0);
         do {
             var i = stack.pop();
             if ( !explored[i] ) {
-                var size = explore( verts, adjacency, orientation, i );
+                var patch = explore( verts, adjacency, orientation, i );
                 // normalize the size so that it is a percentage
-                size /= totalArea;
-                if ( size > lowerPercentage ) {
-                    count += 1;
-                }
+                var fraction = patch.size / totalArea;
+                patches.push( {
+                    bin: Math.round( orientation[i] * ( bins - 1 ) ),
+                    size: patch.size,
+                    fraction: fraction,
+                    vertices: new Uint32Array( patch.members ),
+                    counted: fraction > lowerPercentage
+                } );
             }
         } while( stack.length != 0 );
 
+        return patches;
+    };
+
+    /**
+     * @brief Count the orientation patches of the mesh, as found by opcPatches.
+     * @returns {Number} the number of patches counted
+     * */
+    module.opc = function( verts, adjacency, orientation, lowerPercentage, totalArea ) {
+        return countPatches( module.opcPatches( verts, adjacency, orientation, lowerPercentage, totalArea ) );
+    };
+
+    function countPatches( patches ) {
+        var count = 0;
+        for ( var i = 0; i < patches.length; i++ ) {
+            if ( patches[i].counted ) {
+                count += 1;
+            }
+        }
         return count;
+    }
+
+    /**
+     * @brief Find the orientation patches over the faces of the mesh, as in Surfer Manipulator and molaR.
+     *
+     * Unlike opcPatches, which grows the patches over the vertices and leaves out the patches below a part of the
+     * surface area, the patches are grown over the triangles sharing an edge, and the patches of fewer than minFaces
+     * triangles are left out.
+     *
+     * @param {Float32Array} verts the wrapped vertices
+     * @param {Uint32Array} tris the triangle indices
+     * @param {Object} adjacency the face adjacency list, as returned by faceAdjacency
+     * @param {Float32Array} orientation the orientation of each triangle, as returned by surfaceOrientationAboutCamera
+     * for the triangle normals
+     * @param {Number} minFaces optional, the smallest number of triangles in a patch which is counted, 3 by default
+     * @param {Number} bins optional, the number of orientations the orientation was calculated with, 8 by default
+     * @returns {Array} an array of patches, objects containing the bin, the area, faces, a Uint32Array of the
+     * triangle indices, and counted, whether the patch is counted
+     * */
+    module.faceOpcPatches = function( verts, tris, adjacency, orientation, minFaces, bins ) {
+        minFaces = minFaces !== undefined ? minFaces : 3;
+        var n = bins || 8;
+        var faceCount = orientation.length;
+        var explored = new Uint8Array( faceCount );
+        var stack = [];
+        var patches = [];
+
+        for ( var i = 0; i < faceCount; i++ ) {
+            if ( explored[i] ) {
+                continue;
+            }
+            var members = [];
+            var area = 0.0;
+            explored[i] = 1;
+            stack.push( i );
+            while ( stack.length !== 0 ) {
+                var f = stack.pop();
+                members.push( f );
+                if ( verts !== null ) {
+                    var i0 = 3 * tris[3*f], i1 = 3 * tris[3*f+1], i2 = 3 * tris[3*f+2];
+                    var ux = verts[i1] - verts[i0], uy = verts[i1+1] - verts[i0+1], uz = verts[i1+2] - verts[i0+2];
+                    var vx = verts[i2] - verts[i0], vy = verts[i2+1] - verts[i0+1], vz = verts[i2+2] - verts[i0+2];
+                    var rx = uy*vz - uz*vy, ry = uz*vx - ux*vz, rz = ux*vy - uy*vx;
+                    area += 0.5 * Math.sqrt( rx*rx + ry*ry + rz*rz );
+                }
+                for ( var j = adjacency.offsets[f]; j < adjacency.offsets[f+1]; j++ ) {
+                    var neighbor = adjacency.neighbors[j];
+                    if ( !explored[neighbor] && orientation[neighbor] === orientation[f] ) {
+                        explored[neighbor] = 1;
+                        stack.push( neighbor );
+                    }
+                }
+            }
+            patches.push( {
+                bin: Math.round( orientation[i] * ( n - 1 ) ),
+                area: area,
+                faces: new Uint32Array( members ),
+                counted: members.length >= minFaces
+            } );
+        }
+
+        return patches;
+    };
+
+    /**
+     * @brief Count the orientation patches over the faces of the mesh, as found by faceOpcPatches.
+     *
+     * @param {Object} adjacency the face adjacency list, as returned by faceAdjacency
+     * @param {Float32Array} orientation the orientation of each triangle
+     * @param {Number} minFaces optional, the smallest number of triangles in a patch which is counted, 3 by default
+     * @returns {Number} the number of patches counted
+     * */
+    module.faceOpc = function( adjacency, orientation, minFaces ) {
+        //the areas aren't needed for the count
+        return countPatches( module.faceOpcPatches( null, null, adjacency, orientation, minFaces ) );
+    };
+
+    /**
+     * @brief Calculate the rotation-averaged orientation patch count (OPCR).
+     *
+     * The OPC is counted repeatedly, with the orientations rotated a step further about the camera's forward vector
+     * each time, and the counts are averaged. By default there are 8 rotations, and the step is one orientation bin
+     * divided by the number of rotations, so that the rotations together span one bin: 5.625 degrees for the default
+     * 8 bins and 8 rotations.
+     *
+     * When options.minFaces is given, the patches are counted over the faces as in faceOpc, and adjacency and norms
+     * are the face adjacency list and the triangle normals instead.
+     *
+     * @param {Float32Array} verts the wrapped vertices
+     * @param {Object} adjacency the adjacency list of the vertices
+     * @param {Float32Array} norms the wrapped vertex normals
+     * @param {mat3} mat the camera rotation matrix, as in surfaceOrientationAboutCamera
+     * @param {Number} lowerPercentage the lower limit of patch size, as in opc
+     * @param {Number} totalArea the area the patch sizes are compared to, as in opc
+     * @param {Object} options optional, an object containing any of the fields bins, the number of orientations
+     * (8 by default), rotations, the number of rotations (8 by default), step, the angle between rotations in
+     * degrees (360 / bins / rotations by default), and minFaces, the smallest number of triangles in a patch counted over the faces
+     * @returns {Object} an object containing the opcr, the average count, and rotations, an array of objects
+     * containing the angle in degrees and the count at each rotation
+     * */
+    module.opcr = function( verts, adjacency, norms, mat, lowerPercentage, totalArea, options ) {
+        options = options || {};
+        var bins = options.bins || 8;
+        var rotations = options.rotations || 8;
+        var step = options.step !== undefined ? options.step : 360.0 / bins / rotations;
+        var result = { opcr: 0, rotations: [] };
+        for ( var i = 0; i < rotations; i++ ) {
+            var angle = i * step;
+            var orientation = module.surfaceOrientationAboutCamera( norms, mat, options.bins, Math.PI * angle / 180.0 );
+            var count = options.minFaces !== undefined ?
+                module.faceOpc( adjacency, orientation, options.minFaces ) :
+                module.opc( verts, adjacency, orientation, lowerPercentage, totalArea );
+            result.rotations.push( { angle: angle, count: count } );
+            result.opcr += count;
+        }
+        result.opcr /= rotations;
+        return result;
+    };
+
+    /**
+     * @brief Measure a mesh without a viewer, for processing many specimens at a time.
+     *
+     * The orientations are taken about the z axis, from the x and y components of the vertex normals, and the RFI
+     * is taken looking down the z axis. The OPCR averages the OPC over the default 8 rotations. With the minFaces
+     * option, the OPC and the OPCR are counted over the faces instead, from the triangle normals, as in faceOpc.
+     *
+     * @param {Object} meshCache the mesh cache, as built by buildMeshData
+     * @param {Object} options optional, an object containing any of the fields patchCutoff, the lower limit of
+     * patch size as in Viewer.setPatchCutoff (0.3 by default), minFaces, the smallest number of triangles in a patch
+     * counted over the faces, orientationBins, the number of orientations (8 by default), and dne, the options of the
+     * DNE calculation
+     * @returns {Object} an object containing the vertices and triangles counts, the surface area, the dne, the
+     * rfi, the opc, and the opcr
+     * */
+    module.meshMetrics = function( meshCache, options ) {
+        options = options || {};
+        var patchCutoff = options.patchCutoff !== undefined ? options.patchCutoff : 0.3;
+        var verts = meshCache.wrappedVertex;
+        var tris = meshCache.index;
+        //modelArea sums the cross products, which are twice the triangle areas
+        var crossArea = module.modelArea( verts, tris );
+        var adjacency = meshCache.adjacencyList;
+        var norms = meshCache.wrappedNormal;
+        if ( options.minFaces !== undefined ) {
+            adjacency = module.faceAdjacency( tris, verts.length / 3 );
+            norms = module.triangleNormals( verts, tris );
+        }
+        var opcr = module.opcr( verts, adjacency, norms, mat3.create(), patchCutoff, crossArea, {
+            bins: options.orientationBins,
+            minFaces: options.minFaces
+        } );
+        return {
+            vertices: verts.length / 3,
+            triangles: tris.length / 3,
+            area: crossArea / 2.0,
+            dne: module.dne( verts, meshCache.wrappedNormal, tris, meshCache.adjacencyList, options.dne ).total,
+            rfi: module.rfi( verts, tris, [ 0.0, 0.0, -1.0 ] ).rfi,
+            //the first rotation is the unrotated count
+            opc: opcr.rotations[0].count,
+            opcr: opcr.opcr
+        };
     };
 
     module.angleRangeClamp = function( angle ) {
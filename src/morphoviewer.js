@@ -39,26 +39,28 @@ var morphoviewer = ( function( tools ) {
 
          //build an empty mesh so that we have a valid array buffer when the shaders initialize
         this.mesh = new tools.Mesh( this.gl );
-        this.mesh.build( {vertex:[], normal:[], curvature:[], orientation:[]} );
+        this.mesh.build( {vertex:[], normal:[], curvature:[], orientation:[], color:[]} );
          
         /*
          * Cache the mesh data for modification and creating new mesh objects during runtime
          * This object has the same structure as the object that tools.Mesh.build( obj ) takes
          * as an argument.
          * 
-         * The following mesh cache fields are used throughout the project (see e.g. module.loadData):
          * The following mesh cache fields are used throughout the project:
          * {
-         * vertex: [],
-         * normal: [],
-         * curvature: [],
-         * orientation: [],
-         * wrappedVertex: [],
-         * wrappedNormal: [],
-         * adjacencyList: []
+         * curvature: Float32Array, one value per triangle
+         * orientation: Float32Array, one value per vertex
+         * index: Uint32Array,
+         * wrappedVertex: Float32Array,
+         * wrappedNormal: Float32Array,
+         * wrappedColor: Float32Array,
+         * adjacencyList: { offsets: Uint32Array, neighbors: Uint32Array }
          * }
          * */ 
-        this.meshCache = { vertex: [], normal: [], curvature: [], orientation: [] };
+        this.meshCache = {
+            index: [], curvature: [], orientation: [],
+            wrappedVertex: [], wrappedNormal: [], wrappedColor: []
+        };
         
         // use this to store a camera location
         // we need the camera location, when we e.g. recalculate the orientations, 
@@ -71,7 +73,20 @@ var morphoviewer = ( function( tools ) {
         this.modelView = mat4.create();	//identity matrix, model centered at (0, 0, 0)
 
         this.opcAreaLimit = 0.3;  // this is a percentage
+        this.orientationBins = 8;  // the number of orientations in the OPC
+        this.patchMesh = null;  // the mesh colored by viewOpcPatches
+        this.cropHistory = [];  // the mesh data before each crop, for undoCrop
         this.totalModelArea = 1.0;
+
+        //whether files are parsed in a web worker, and the script the worker runs
+        this.backgroundLoading = false;
+        this.workerScript = tools.scriptUrl();
+
+        //the options passed to the point cloud parser, see setPointCloudOptions
+        this.pointCloudOptions = {};
+
+        //the canvas event listeners for dropping files, see enableDragAndDrop
+        this.dropHandlers = null;
         
         this.renderFunctor = function() {};
 
@@ -326,6 +341,9 @@ var morphoviewer = ( function( tools ) {
         this.lineProgram = progRes[3];
         this.planeProgram = this.lineProgram;
         this.hemisphereProgram = progRes[2];
+        this.vertexColorProgram = progRes[4];
+        this.edgeProgram = progRes[5];
+        this.patchProgram = progRes[6];
         this.currentProgram = this.hemisphereProgram;
 
         this.viewHemispherical();
@@ -359,7 +377,10 @@ var morphoviewer = ( function( tools ) {
     function initWebGL( canvas ) {
         var context = null;
         try {
-            context = canvas.getContext( "webgl" ) || canvas.getContext( "experimental-webgl" );
+            //WebGL 2 is preferred for its flat shading, see tools.Mesh
+            context = canvas.getContext( "webgl2" ) ||
+                canvas.getContext( "webgl" ) ||
+                canvas.getContext( "experimental-webgl" );
         } catch( e ) {
             //
         }
@@ -371,8 +392,16 @@ var morphoviewer = ( function( tools ) {
         var wireframeProgram = new tools.Program( gl );
         wireframeProgram.programFromString( tools.wireframe.vertex, tools.wireframe.fragment );
 
+        //the curvature is flat shaded where WebGL 2 allows it
         var colorProgram = new tools.Program( gl );
-        colorProgram.programFromString( tools.color.vertex, tools.color.fragment );
+        if ( tools.isWebGL2( gl ) ) {
+            colorProgram.programFromString(
+                tools.shaderPrefix300.vertex + tools.color.vertex,
+                tools.shaderPrefix300.fragment + tools.color.fragment
+            );
+        } else {
+            colorProgram.programFromString( tools.color.vertex, tools.color.fragment );
+        }
 
         var hemisphereProgram = new tools.Program( gl );
         hemisphereProgram.programFromString( tools.hemisphere.vertex, tools.hemisphere.fragment );
@@ -382,7 +411,20 @@ var morphoviewer = ( function( tools ) {
         tools.flatShader.enableAttributes( gl, lineProgram );
         tools.flatShader.setAttributes( gl, lineProgram );
 
-        return [ wireframeProgram, colorProgram, hemisphereProgram, lineProgram ];
+        var vertexColorProgram = new tools.Program( gl );
+        vertexColorProgram.programFromString( tools.vertexColor.vertex, tools.vertexColor.fragment );
+
+        //draws the wireframe of indexed meshes, which have no barycentric coordinates
+        var edgeProgram = new tools.Program( gl );
+        edgeProgram.programFromString( tools.flatShader.vertex, tools.flatShader.fragment );
+
+        //colors the orientation patches, which are drawn from a mesh of their own
+        var patchProgram = new tools.Program( gl );
+        patchProgram.programFromString( tools.vertexColor.vertex, tools.vertexColor.fragment );
+
+        return [
+            wireframeProgram, colorProgram, hemisphereProgram, lineProgram, vertexColorProgram, edgeProgram, patchProgram
+        ];
     }
 
     /**
@@ -403,223 +445,282 @@ var morphoviewer = ( function( tools ) {
         );
     }
 
-    module.Viewer.prototype.loadData = function( buffer ) {
+    /**
+     * Set the viewer to show the mesh data built by tools.buildMeshData.
+     *
+     * @param {Object} self the Viewer instance
+     * @param {Object} data an object containing the meshCache, aabb, and totalModelArea fields
+     * */
+    function setMeshData( self, data ) {
+        var aabb = data.aabb;
+        self.planeScalingMatrix = mat4.fromScaling(
+            mat4.create(),
+            vec3.fromValues( 0.7*aabb.width, 0.7*aabb.height, 1.0 )
+        );
+        self.trackball.setRadius( aabb.length / 2.3 );
+        self.camera.setBestPositionForModel( aabb );
+
+        self.cameraCache = self.camera.rotation();
+        //the crops of the old model can't be undone on the new one
+        self.cropHistory = [];
+        replaceMeshCache( self, data.meshCache, data.totalModelArea );
+    }
+
+    /**
+     * Replace the mesh of the viewer, keeping the camera where it is.
+     *
+     * @param {Object} self the Viewer instance
+     * @param {Object} meshCache the new mesh cache
+     * @param {Number} totalModelArea the area of the new mesh, as returned by tools.modelArea
+     * */
+    function replaceMeshCache( self, meshCache, totalModelArea ) {
+        self.meshCache = meshCache;
+        self.mesh.dispose();
+        self.mesh = new tools.Mesh( self.gl );
+        self.mesh.build( self.meshCache );
+        self.totalModelArea = totalModelArea;
+
+        //the new model may not have colors to show
+        if ( self.currentProgram === self.vertexColorProgram && !self.mesh.has( "color" ) ) {
+            self.viewHemispherical();
+        }
+        //the wireframe is drawn differently for indexed meshes
+        if ( self.currentProgram === self.wireframeProgram || self.currentProgram === self.edgeProgram ) {
+            self.viewWireframe();
+        }
+        //the patches of the old model no longer apply
+        refreshPatches( self );
+    }
+
+    /**
+     * @brief Load the contents of a 3d file into the viewer.
+     *
+     * If background loading has been enabled with setBackgroundLoading, the file is parsed and the
+     * mesh data computed in a web worker, and the model appears once the worker is done.
+     *
+     * @param {ArrayBuffer|Uint8Array} buffer the contents of the file, which may be gzip, zlib or zip compressed
+     * @param {Function} onprogress optional, function( stage, bytesParsed, bytesTotal )
+     * @returns {Promise} resolves once the model is shown, or rejects with a morphoviewer.io.LoadError
+     * */
+    module.Viewer.prototype.loadData = function( buffer, onprogress ) {
         var self = this;
+        //the parsers need to know the length of the data, which a raw ArrayBuffer doesn't give
+        if ( buffer instanceof ArrayBuffer ) {
+            buffer = new Uint8Array( buffer );
+        }
+        try {
+            buffer = tools.io.decompress( buffer );
+        } catch ( err ) {
+            return Promise.reject( err );
+        }
         var type = tools.io.getFileType( buffer );
-        if ( type === "stl" ) {
-            var model = tools.parseSTL( buffer );
-            var verts = model["v"]; // these are unwrapped
-            var norms = model["vn"];
-            var curvature = tools.surfaceVariation( verts, norms );
-            var orientation = tools.surfaceOrientation( norms );
-            tools.centerPointCloud( verts, "unwrapped" );
-            self.meshCache = {
-                vertex: [],
-                normal: [],
-                index: [],
-                orientation: [],
-                curvature: [],
-                wrappedVertex: [],
-                wrappedNormal: [],
-                adjacencyList: []
-            };
-            self.meshCache.vertex = verts;
-            self.meshCache.normal = norms;
-            self.meshCache.orientation = orientation;
-            self.meshCache.curvature = curvature;
-            self.mesh = new tools.Mesh( self.gl );
-            self.mesh.build({
-                vertex: verts,
-                normal: norms,
-                curvature: curvature,
-                orientation: orientation
-            });
-            var aabb = tools.getAabbFromUnwrapped( verts );
-            self.planeScalingMatrix = mat4.fromScaling(
-                mat4.create(),
-                vec3.fromValues( 0.7*aabb.width, 0.7*aabb.height, 1.0 )
-            );
-            self.trackball.setRadius( aabb.length / 2.3 );
-            self.camera.setBestPositionForModel( aabb );
-        } else if ( type === "ply" ) {
-            var model = tools.parsePLY( buffer );
-            var verts = [];
-            var vertex = model["vertex"];
-            var vertex_x = vertex["x"];
-            var vertex_y = vertex["y"];
-            var vertex_z = vertex["z"];
-            var length = model["vertex"]["x"].length;
-            for ( var i = 0; i < length; i++ ) {
-                verts.push( [ vertex_x[i], vertex_y[i], vertex_z[i] ] );
-            }
-
-            var tris = [];
-            var vertex_indices = model["face"]["vertex_indices"];
-            length = vertex_indices.length;
-            //noinspection JSDuplicatedDeclaration
-            for ( var i = 0; i < length; i++ ) {
-                tris.push( vertex_indices[i] );
+        if ( type === "unrecognized" ) {
+            //don't load anything
+            return Promise.reject( new tools.io.LoadError(
+                "format", "morphoviewer.Viewer.view: unrecognized file format", { format: type }
+            ) );
+        }
+        //errors from the parsers are passed on as such, anything else is wrapped in a LoadError
+        var parseError = function( err ) {
+            if ( err instanceof tools.io.LoadError ) {
+                return err;
             }
+            return new tools.io.LoadError(
+                "parse", "morphoviewer.Viewer.view: could not load the " + type + " file: " + err, { format: type }
+            );
+        };
 
-            var adjacency = tools.adjacencyList( verts, tris );
+        if ( this.backgroundLoading ) {
+            return new Promise( function( resolve, reject ) {
+                tools.buildMeshDataInWorker(
+                    buffer,
+                    type,
+                    self.workerScript,
+                    onprogress,
+                    function( data ) {
+                        setMeshData( self, data );
+                        resolve();
+                    },
+                    function( err ) { reject( parseError( err ) ); },
+                    { pointCloud: self.pointCloudOptions }
+                );
+            } );
+        }
+        var data;
+        try {
+            data = tools.buildMeshData( buffer, type, onprogress, { pointCloud: this.pointCloudOptions } );
+        } catch ( err ) {
+            return Promise.reject( parseError( err ) );
+        }
+        setMeshData( self, data );
+        return Promise.resolve();
+    };
 
-            var norms = [];
-            if ( vertex["nx"] !== undefined ) {
-                var nx = vertex["nx"];
-                var ny = vertex["ny"];
-                var nz = vertex["nz"];
-                for ( var i = 0; i < length; i++ ) {
-                    norms.push( [ nx[i], ny[i], nz[i] ] );
-                }
-            } else {
-                norms = tools.vertexNormals( verts, tris, adjacency );
-            }
+    /**
+     * @brief Set how point cloud files (.csv, .xyz, .pts) are read by the files viewed next.
+     *
+     * @param {Object} options an object containing the optional fields delimiter, and columns, a column mapping
+     * such as { x: 0, y: 1, z: 2, nx: 3, ny: 4, nz: 5 }, or [ "x", "y", "z", null, "r", "g", "b" ]. The delimiter
+     * and columns are detected from the file when not given.
+     * */
+    module.Viewer.prototype.setPointCloudOptions = function( options ) {
+        this.pointCloudOptions = options || {};
+    };
 
-            var orientation = [];
-            if ( vertex["orientation"] !== undefined ) {
-                var o = vertex["orientation"];
-                for ( var i = 0; i < length; i++ ) {
-                    orientation.push( o[i] );
-                }
-            }
+    /**
+     * @brief Parse files and compute the mesh data in a web worker, so that loading a large file doesn't
+     * freeze the page.
+     *
+     * @param {Boolean} enabled true to load in the background, false to load on the main thread (the default)
+     * @param {String} url optional, the URL of the morphoviewer script for the worker to run. By default, the
+     * URL of the script element which loaded morphoviewer is used.
+     * @returns {Boolean} false if background loading was asked for but the URL of the script is unknown, in which
+     * case files are loaded on the main thread, true otherwise
+     * */
+    module.Viewer.prototype.setBackgroundLoading = function( enabled, url ) {
+        if ( url !== undefined ) {
+            this.workerScript = url;
+        }
+        if ( enabled && !this.workerScript ) {
+            console.log( "Viewer.setBackgroundLoading: the morphoviewer script URL is unknown, loading on the main thread" );
+            this.backgroundLoading = false;
+            return false;
+        }
+        this.backgroundLoading = enabled;
+        return true;
+    };
 
-            var curvature = [];
-            if ( model["face"]["curvature"] !== undefined ) {
-                var c = model["face"]["curvature"];
-                for ( var i = 0; i < c.length; i++ ) {
-                    curvature.push( c[i], c[i], c[i] );
-                }
-            }
-            tools.centerPointCloud( verts );
-            var verts_unwrapped = tools.unwrapVectorArray( verts, tris );
-            var norms_unwrapped = tools.unwrapVectorArray( norms, tris );
-            self.meshCache = {
-                vertex: [],
-                normal: [],
-                index: [],
-                orientation: [],
-                curvature: [],
-                wrappedVertex: [],
-                wrappedNormal: [],
-                adjacencyList: []
-            };
-            self.meshCache.vertex = verts_unwrapped;
-            self.meshCache.normal = norms_unwrapped;
-            self.meshCache.index = tris;
-            self.meshCache.wrappedVertex = verts;
-            self.meshCache.wrappedNormal = norms;
-            self.meshCache.adjacencyList = adjacency;
-
-            //if curvature & orientation were supplied, then add them to the object
-            // else compute them!
-            if ( vertex["orientation"] !== undefined ) {
-                self.meshCache.orientation = tools.unwrapArray( orientation, tris );
-            } else {
-                self.meshCache.orientation = tools.surfaceOrientation( norms_unwrapped );
-            }
-            if ( model["face"]["curvature"] !== undefined ) {
-                self.meshCache.curvature = curvature;
-            } else {
-                self.meshCache.curvature = tools.surfaceVariation( verts_unwrapped, norms_unwrapped );
-            }
+    /**
+     * @brief View a 3d file. The file can be a csv point cloud, ply file, obj file, off file, wrl file,
+     * gltf or glb file, or stl file.
+     *
+     * @param {String} file The file URL.
+     * @param {Function} onprogress optional, function( stage, bytesParsed, bytesTotal ), see loadData
+     * @returns {Promise} resolves once the model is shown, or rejects with a morphoviewer.io.LoadError if the
+     * file can't be fetched, its format isn't recognized, or it can't be parsed
+     * */
+    module.Viewer.prototype.view = function( file, onprogress ) {
+        var self = this;
+        return tools.io.readSource( file ).then( function( buffer ) {
+            return self.loadData( buffer, onprogress );
+        } );
+    };
 
-            self.mesh = new tools.Mesh( self.gl );
-            self.mesh.build( {
-                vertex: verts_unwrapped,
-                normal: norms_unwrapped,
-                curvature: self.meshCache.curvature,
-                orientation: self.meshCache.orientation
-            } );
-            var aabb = tools.getAabb( verts );
-            self.planeScalingMatrix = mat4.fromScaling(
-                mat4.create(),
-                vec3.fromValues( 0.7*aabb.width, 0.7*aabb.height, 1.0 )
-            );
-            self.trackball.setRadius( aabb.length / 2.3 );
-            self.camera.setBestPositionForModel( aabb );
-        } else if ( type === "csv" ) {
-            var model = tools.parseCSV( buffer, ',' );
-            var verts = model["points"];
-            tools.centerPointCloud( verts );
-            var tris = tools.triangulate( verts );
-            var adjacency = tools.adjacencyList( verts, tris );
-            var norms = tools.vertexNormals( verts, tris, adjacency );
-
-            var verts_unwrapped = tools.unwrapVectorArray( verts, tris );
-            var norms_unwrapped = tools.unwrapVectorArray( norms, tris );
-            var curvature = tools.surfaceVariation( verts_unwrapped, norms_unwrapped );
-            var orientation = tools.surfaceOrientation( norms_unwrapped );
-            self.meshCache = {
-                vertex: [],
-                normal: [],
-                index: [],
-                orientation: [],
-                curvature: [],
-                wrappedVertex: [],
-                wrappedNormal: [],
-                adjacencyList: []
-            };
-            self.meshCache.vertex = verts_unwrapped;
-            self.meshCache.normal = norms_unwrapped;
-            self.meshCache.index = tris;
-            self.meshCache.orientation = orientation;
-            self.meshCache.curvature = curvature;
-            self.meshCache.wrappedVertex = verts;
-            self.meshCache.wrappedNormal = norms;
-            self.meshCache.adjacencyList = adjacency;
-            self.mesh = new tools.Mesh( self.gl );
-            self.mesh.build( {
-                vertex: verts_unwrapped,
-                normal: norms_unwrapped,
-                curvature: curvature,
-                orientation: orientation
-            } );
-            var aabb = tools.getAabb( verts );
-            self.trackball.setRadius( aabb.length / 2.3 );
-            self.camera.setBestPositionForModel( aabb );
-            self.planeScalingMatrix = mat4.fromScaling(
-                mat4.create(),
-                vec3.fromValues( 0.7*aabb.width, 0.7*aabb.height, 1.0 )
-            );
-        } else {
-            //don't load anything
-            alert("morphoviewer.Viewer.view: unrecognized file format" );
-            return;
+    /**
+     * @brief View a 3d file chosen by the user, e.g. from a file input element. The file is read locally,
+     * nothing is uploaded.
+     *
+     * @param {Blob} file a File or Blob object
+     * @param {Function} onprogress optional, function( stage, bytesParsed, bytesTotal ), see loadData
+     * @returns {Promise} resolves once the model is shown, or rejects with a morphoviewer.io.LoadError
+     * */
+    module.Viewer.prototype.viewFile = function( file, onprogress ) {
+        if ( typeof Blob === "undefined" || !( file instanceof Blob ) ) {
+            return Promise.reject( new tools.io.LoadError( "read", "morphoviewer.Viewer.viewFile: expected a File or Blob" ) );
         }
-           
-        this.cameraCache = this.camera.rotation();
-        self.totalModelArea = tools.modelArea( self.meshCache.wrappedVertex, self.meshCache.index );
+        return this.view( file, onprogress );
+    };
 
+    /**
+     * @brief View a 3d file already in memory.
+     *
+     * @param {ArrayBuffer|Uint8Array} buffer the contents of the file
+     * @param {Function} onprogress optional, function( stage, bytesParsed, bytesTotal ), see loadData
+     * @returns {Promise} resolves once the model is shown, or rejects with a morphoviewer.io.LoadError
+     * */
+    module.Viewer.prototype.viewBuffer = function( buffer, onprogress ) {
+        if ( !( buffer instanceof ArrayBuffer ) && !( buffer instanceof Uint8Array ) ) {
+            return Promise.reject( new tools.io.LoadError(
+                "read", "morphoviewer.Viewer.viewBuffer: expected an ArrayBuffer or Uint8Array"
+            ) );
+        }
+        return this.loadData( buffer, onprogress );
     };
 
     /**
-     * @brief View a 3d file. The file can be a csv point cloud, ply file, or stl file.
+     * @brief Let the user view a file by dropping it on the canvas. Off by default.
      *
-     * @param {String} file The file URL.
+     * The dropped file is read locally with viewFile. If several files are dropped, only the first one is viewed.
+     * The callbacks can also be given as the fields of an object, enableDragAndDrop( { onload, onerror, onprogress } ).
+     * Without onerror, the errors are only logged to the console.
+     *
+     * @param {Function|Object} onload optional, called with the File once it is shown, or an object containing
+     * any of the callbacks
+     * @param {Function} onerror optional, called with the morphoviewer.io.LoadError (a ParseError if the file is
+     * malformed) if the file can't be viewed
+     * @param {Function} onprogress optional, function( stage, bytesParsed, bytesTotal ), see loadData
      * */
-    module.Viewer.prototype.view = function( file ) {
+    module.Viewer.prototype.enableDragAndDrop = function( onload, onerror, onprogress ) {
         var self = this;
-        var loader = function( data ) {
-            self.loadData( data );
+        if ( onload !== null && typeof(onload) === "object" ) {
+            onerror = onload.onerror;
+            onprogress = onload.onprogress;
+            onload = onload.onload;
+        }
+        this.disableDragAndDrop();
+        var onDragOver = function( event ) {
+            //the browser opens the file itself, unless the default is prevented
+            event.preventDefault();
+            event.dataTransfer.dropEffect = "copy";
         };
-        tools.io.loadFile( file, loader );
+        var onDrop = function( event ) {
+            event.preventDefault();
+            var files = event.dataTransfer.files;
+            if ( !files || files.length === 0 ) {
+                return;
+            }
+            var file = files[0];
+            self.viewFile( file, onprogress ).then(
+                function() {
+                    if ( onload ) {
+                        onload( file );
+                    }
+                },
+                function( err ) {
+                    if ( onerror ) {
+                        onerror( err );
+                    } else {
+                        console.log( "Viewer.enableDragAndDrop: could not view " + file.name + ": " + err.message );
+                    }
+                }
+            );
+        };
+        this.canvas.addEventListener( "dragover", onDragOver, false );
+        this.canvas.addEventListener( "drop", onDrop, false );
+        this.dropHandlers = { dragover: onDragOver, drop: onDrop };
+    };
+
+    /**
+     * @brief Stop viewing files dropped on the canvas.
+     * */
+    module.Viewer.prototype.disableDragAndDrop = function() {
+        if ( this.dropHandlers === null ) {
+            return;
+        }
+        this.canvas.removeEventListener( "dragover", this.dropHandlers.dragover, false );
+        this.canvas.removeEventListener( "drop", this.dropHandlers.drop, false );
+        this.dropHandlers = null;
     };
 
     /**
      * View the object as a wire frame model.
      * */
     module.Viewer.prototype.viewWireframe = function() {
+        if ( this.mesh.indexed ) {
+            viewEdges( this );
+            return;
+        }
         this.currentProgram = this.wireframeProgram;
         this.currentProgram.use();
         setWireFrame( this.mesh, this.gl, this.currentProgram );
 
         this.renderFunctor = function() {
             this.mesh.bind();
-            tools.wireframe.setAttributes( this.gl, this.currentProgram, this.mesh.vertices() );
+            tools.wireframe.setAttributes( this.gl, this.currentProgram, this.mesh.vertices(), this.mesh );
             tools.wireframe.camera = this.camera.matrix();
             tools.wireframe.model = this.modelView;
             tools.wireframe.setUniforms( this.currentProgram );
-            this.gl.drawArrays( this.gl.TRIANGLES, 0, this.mesh.vertices() );
+            this.mesh.draw();
             this.mesh.unbind();
         };
     };
@@ -627,10 +728,46 @@ var morphoviewer = ( function( tools ) {
     function setWireFrame( mesh, gl, program ) {
         mesh.bind();
         tools.wireframe.enableAttributes(gl, program);
-        tools.wireframe.setAttributes(gl, program, mesh.vertices());
+        tools.wireframe.setAttributes(gl, program, mesh.vertices(), mesh);
         mesh.unbind();
     }
 
+    /**
+     * The wireframe of an indexed mesh: the surface is drawn pushed slightly back, and the edges as lines over it.
+     * */
+    function viewEdges( self ) {
+        self.currentProgram = self.edgeProgram;
+        self.currentProgram.use();
+        self.mesh.bind();
+        tools.flatShader.enableAttributes( self.gl, self.currentProgram );
+        tools.flatShader.setAttributes( self.gl, self.currentProgram );
+        self.mesh.unbind();
+
+        self.renderFunctor = function() {
+            var gl = self.gl;
+            //the plane and the trackball are drawn with the same shader, so leave its color as it was
+            var color = tools.flatShader.surfaceColor;
+            self.mesh.bind();
+            tools.flatShader.setAttributes( gl, self.currentProgram );
+            tools.flatShader.camera = self.camera.matrix();
+            tools.flatShader.model = self.modelView;
+
+            tools.flatShader.surfaceColor = tools.wireframe.surfaceColor;
+            tools.flatShader.setUniforms( self.currentProgram );
+            gl.enable( gl.POLYGON_OFFSET_FILL );
+            gl.polygonOffset( 1.0, 1.0 );
+            self.mesh.draw();
+            gl.disable( gl.POLYGON_OFFSET_FILL );
+
+            tools.flatShader.surfaceColor = vec3.fromValues( 0.0, 0.0, 0.0 );
+            tools.flatShader.setUniforms( self.currentProgram );
+            self.mesh.drawEdges();
+
+            tools.flatShader.surfaceColor = color;
+            self.mesh.unbind();
+        };
+    }
+
     /**
      * Color the surface of the object according to the discreet orientation of each polygon.
      *
@@ -678,7 +815,7 @@ var morphoviewer = ( function( tools ) {
             tools.color.camera = self.camera.matrix();
             tools.color.model = self.modelView;
             tools.color.setUniforms( self.currentProgram );
-            self.gl.drawArrays( self.gl.TRIANGLES, 0, self.mesh.vertices() );
+            self.mesh.draw();
             self.mesh.unbind();
         }
     }
@@ -692,23 +829,64 @@ var morphoviewer = ( function( tools ) {
 
         this.mesh.bind();
         tools.hemisphere.enableAttributes( this.gl, this.currentProgram );
-        tools.hemisphere.setAttributes( this.gl, this.currentProgram, this.mesh.vertices() );
+        tools.hemisphere.setAttributes( this.gl, this.currentProgram, this.mesh.vertices(), this.mesh );
         this.mesh.unbind();
 
         var self = this;
 
         this.renderFunctor = function() {
             self.mesh.bind();
-            tools.hemisphere.setAttributes( self.gl, self.currentProgram, self.mesh.vertices() );
+            tools.hemisphere.setAttributes( self.gl, self.currentProgram, self.mesh.vertices(), self.mesh );
             tools.hemisphere.camera = self.camera.matrix();
             tools.hemisphere.model = self.modelView;
             tools.hemisphere.setUniforms( this.currentProgram );
 
-            self.gl.drawArrays( self.gl.TRIANGLES, 0, self.mesh.vertices() );
+            self.mesh.draw();
             self.mesh.unbind();
         }
     };
 
+    /**
+     * Color the surface of the object with the colors of its vertices, such as the red, green, and blue
+     * properties of a PLY file.
+     *
+     * If the currently active mesh doesn't have any color data, then this function doesn't do anything.
+     * */
+    module.Viewer.prototype.viewVertexColors = function() {
+        if ( !this.mesh.has( "color" ) ) {
+            return;
+        }
+        this.currentProgram = this.vertexColorProgram;
+        this.currentProgram.use();
+
+        this.mesh.bind();
+        tools.vertexColor.enableAttributes( this.gl, this.currentProgram );
+        tools.vertexColor.setAttributes( this.gl, this.currentProgram, this.mesh.vertices(), this.mesh );
+        this.mesh.unbind();
+
+        var self = this;
+
+        this.renderFunctor = function() {
+            self.mesh.bind();
+            tools.vertexColor.setAttributes( self.gl, self.currentProgram, self.mesh.vertices(), self.mesh );
+            tools.vertexColor.camera = self.camera.matrix();
+            tools.vertexColor.model = self.modelView;
+            tools.vertexColor.setUniforms( self.currentProgram );
+
+            self.mesh.draw();
+            self.mesh.unbind();
+        };
+    };
+
+    /**
+     * Check whether the loaded model has vertex colors, which can be shown with viewVertexColors.
+     *
+     * @returns {Boolean} true if the mesh has colors, false otherwise
+     * */
+    module.Viewer.prototype.hasVertexColors = function() {
+        return this.mesh.has( "color" );
+    };
+
     /**
      * View with orthographic projection.
      */
@@ -806,12 +984,24 @@ var morphoviewer = ( function( tools ) {
     };
 
     module.Viewer.prototype.calculateOrientation = function() {
-        this.meshCache.orientation = tools.surfaceOrientationAboutCamera( this.meshCache.normal, this.camera.rotation() );
-        this.mesh = new tools.Mesh( this.gl );
-        this.mesh.build( this.meshCache );
         this.cameraCache = this.camera.rotation();
+        updateOrientation( this );
     };
 
+    /*Calculates the orientation shown on the mesh again at the cached camera orientation, and finds the patches
+     * again if they are being shown.*/
+    function updateOrientation( self ) {
+        self.meshCache.orientation = tools.surfaceOrientationAboutCamera(
+            self.meshCache.wrappedNormal,
+            self.cameraCache,
+            self.orientationBins
+        );
+        self.mesh.dispose();
+        self.mesh = new tools.Mesh( self.gl );
+        self.mesh.build( self.meshCache );
+        refreshPatches( self );
+    }
+
     /**
      * @brief Set a lower limit for patch size for it to be counted
      * @param percentage {Number} the patch's percentage of the total area, below which it will not be counted
@@ -819,47 +1009,308 @@ var morphoviewer = ( function( tools ) {
     module.Viewer.prototype.setPatchCutoff = function( percentage )  {
         if ( percentage >= 0.0 && percentage < 100.0 ) {
             this.opcAreaLimit = percentage;
+            refreshPatches( this );
         } else {
             console.log( "Viewer.setAreaLimit: invalid percentage " + percentage );
         }
     };
 
+    /**
+     * @brief Set the number of orientations the surface normals are divided into
+     * @param bins {Number} the number of orientations, a whole number of at least 2
+     * */
+    module.Viewer.prototype.setOrientationBins = function( bins ) {
+        if ( bins >= 2 && bins % 1 === 0 ) {
+            this.orientationBins = bins;
+            updateOrientation( this );
+        } else {
+            console.log( "Viewer.setOrientationBins: invalid number of orientations " + bins );
+        }
+    };
+
+    /**
+     * @brief Calculate the orientation patch count (OPC) of the surface, or of the part on the positive side of the
+     * OPC selection plane while it's shown.
+     * @returns {Number} the number of patches counted
+     * */
     module.Viewer.prototype.opc = function() {
         if ( this.meshCache.wrappedVertex.length === 0 ) {
-            alert("The file format (STL) does not support orientation patch count calculations. Consider converting the file into something else!");
+            alert("There is no mesh to calculate the orientation patch count of.");
             return 0;
         }
+        var region = measuredRegion( this );
         // calculate the wrapped orientation values
-        var mat = this.cameraCache;
-        var norms = this.meshCache.wrappedNormal;
-        var orientation = [];
-        var n = 8;
-        for ( var i = 0; i < norms.length; i++ ) {
-            var v1 = mat[0]*norms[i][0] + mat[1]*norms[i][1] + mat[2]*norms[i][2];
-            var v2 = mat[3]*norms[i][0] + mat[4]*norms[i][1] + mat[3]*norms[i][2];
-            var or = vec2.normalize( vec2.create(), vec2.fromValues(v1, v2) );
-            var theta = tools.angleRangeClamp( Math.atan2( or[1], or[0] ) );
-            var region = Math.floor( theta / ( 2.0 * Math.PI / n) );	//find the region number in [1, n]
-
-            region /= n-1;	//normalize!
-            orientation.push( region );
-        }
-
-        return count = tools.opc(
-            this.meshCache.wrappedVertex,
-            this.meshCache.adjacencyList,
+        var orientation = tools.surfaceOrientationAboutCamera(
+            region.wrappedNormal,
+            this.cameraCache,
+            this.orientationBins
+        );
+
+        return tools.opc(
+            region.wrappedVertex,
+            region.adjacencyList,
             orientation,
             this.opcAreaLimit,
-            this.totalModelArea
+            region.totalArea
+        );
+    };
+
+    /*Returns {Object} the part of the mesh the metrics are calculated on: while the OPC selection plane is shown,
+     * the part on its positive side, with the triangles straddling it clipped, and otherwise the whole mesh. The
+     * object has the wrappedVertex, wrappedNormal, index and adjacencyList fields of the mesh cache, and the
+     * totalArea, which is measured like totalModelArea.*/
+    function measuredRegion( self ) {
+        var cache = self.meshCache;
+        if ( !self.showPlane ) {
+            return {
+                wrappedVertex: cache.wrappedVertex,
+                wrappedNormal: cache.wrappedNormal,
+                index: cache.index,
+                adjacencyList: cache.adjacencyList,
+                totalArea: self.totalModelArea
+            };
+        }
+        var clipped = tools.clipMesh(
+            cache.wrappedVertex,
+            cache.index,
+            selectionPlane( self ),
+            [ cache.wrappedNormal ]
+        );
+        var norms = clipped.arrays[0];
+        var n = vec3.create();
+        for ( var i = 0; i < norms.length; i += 3 ) {
+            vec3.set( n, norms[i], norms[i+1], norms[i+2] );
+            vec3.normalize( n, n );
+            norms.set( n, i );
+        }
+        return {
+            wrappedVertex: clipped.vertices,
+            wrappedNormal: norms,
+            index: clipped.triangles,
+            adjacencyList: tools.adjacencyList( clipped.vertices, clipped.triangles ),
+            totalArea: tools.modelArea( clipped.vertices, clipped.triangles )
+        };
+    }
+
+    /*Returns {tools.Plane} the OPC selection plane in the coordinates of the mesh. The plane is drawn translated
+     * by planeTranslationMatrix, and the mesh by its position.*/
+    function selectionPlane( self ) {
+        var offset = vec3.transformMat4(
+            vec3.create(),
+            vec3.fromValues( 0.0, 0.0, 0.0 ),
+            self.planeTranslationMatrix
+        );
+        vec3.subtract( offset, offset, self.position );
+        var point = vec3.add( vec3.create(), self.plane.point, offset );
+        return new tools.Plane(
+            point,
+            vec3.add( vec3.create(), point, self.plane.planeVec1 ),
+            vec3.add( vec3.create(), point, self.plane.planeVec2 )
+        );
+    }
+
+    /**
+     * @brief Find the orientation patches the OPC is counted from, at the same camera orientation as opc().
+     * @returns {Array} an array of patches, objects containing the bin, the orientation number of the patch, the
+     * size, the fraction of the total area, vertices, the indices of the wrapped vertices in the patch, and
+     * counted, false for the patches below the patch cutoff. While the OPC selection plane is shown, the indices
+     * are those of the clipped mesh.
+     * */
+    module.Viewer.prototype.opcPatches = function() {
+        if ( this.meshCache.wrappedVertex === undefined || this.meshCache.wrappedVertex.length === 0 ) {
+            alert( "There is no mesh to find the orientation patches of." );
+            return [];
+        }
+        return findPatches( this, measuredRegion( this ) );
+    };
+
+    function findPatches( self, region ) {
+        var orientation = tools.surfaceOrientationAboutCamera(
+            region.wrappedNormal,
+            self.cameraCache,
+            self.orientationBins
+        );
+        return tools.opcPatches(
+            region.wrappedVertex,
+            region.adjacencyList,
+            orientation,
+            self.opcAreaLimit,
+            region.totalArea,
+            self.orientationBins
+        );
+    }
+
+    /**
+     * @brief Color each orientation patch counted in the OPC differently, and the patches below the patch cutoff
+     * grey.
+     *
+     * The patches are found again when the orientation is recalculated, or the patch cutoff or number of
+     * orientations changes. While the OPC selection plane is shown, only the part of the mesh the patches are
+     * counted on is drawn.
+     * */
+    module.Viewer.prototype.viewOpcPatches = function() {
+        if ( this.meshCache.wrappedVertex === undefined || this.meshCache.wrappedVertex.length === 0 ) {
+            alert( "There is no mesh to find the orientation patches of." );
+            return;
+        }
+        var region = measuredRegion( this );
+        var patches = findPatches( this, region );
+        //the parts of the mesh the patches aren't explored into, not being connected to the first vertex, are grey
+        var colors = new Float32Array( region.wrappedVertex.length );
+        for ( var k = 0; k < colors.length; k++ ) {
+            colors[k] = 0.6;
+        }
+        var counted = 0;
+        for ( var i = 0; i < patches.length; i++ ) {
+            var color = patches[i].counted ? patchColor( counted++ ) : [ 0.6, 0.6, 0.6 ];
+            var vertices = patches[i].vertices;
+            for ( var j = 0; j < vertices.length; j++ ) {
+                colors.set( color, 3 * vertices[j] );
+            }
+        }
+        if ( this.patchMesh !== null ) {
+            this.patchMesh.dispose();
+        }
+        this.patchMesh = new tools.Mesh( this.gl );
+        this.patchMesh.build( {
+            index: region.index,
+            wrappedVertex: region.wrappedVertex,
+            wrappedColor: colors
+        } );
+
+        this.currentProgram = this.patchProgram;
+        this.currentProgram.use();
+
+        this.patchMesh.bind();
+        tools.vertexColor.enableAttributes( this.gl, this.currentProgram );
+        tools.vertexColor.setAttributes( this.gl, this.currentProgram, this.patchMesh.vertices(), this.patchMesh );
+        this.patchMesh.unbind();
+
+        var self = this;
+
+        this.renderFunctor = function() {
+            self.patchMesh.bind();
+            tools.vertexColor.setAttributes( self.gl, self.currentProgram, self.patchMesh.vertices(), self.patchMesh );
+            tools.vertexColor.camera = self.camera.matrix();
+            tools.vertexColor.model = self.modelView;
+            tools.vertexColor.setUniforms( self.currentProgram );
+
+            self.patchMesh.draw();
+            self.patchMesh.unbind();
+        };
+    };
+
+    /*Finds the patches again, if they are being shown, after something they depend on has changed.*/
+    function refreshPatches( self ) {
+        if ( self.currentProgram === self.patchProgram ) {
+            self.viewOpcPatches();
+        }
+    }
+
+    /*Returns the color of the i-th counted patch. The hues are a golden angle apart, so the colors of
+     * consecutive patches are far apart.*/
+    function patchColor( i ) {
+        //hsv to rgb, with the saturation 0.65 and value 0.9
+        var hue = ( i * 0.381966 ) % 1.0 * 6.0;
+        var sector = Math.floor( hue );
+        var f = hue - sector;
+        var v = 0.9, p = v * 0.35, q = v * ( 1.0 - 0.65 * f ), t = v * ( 1.0 - 0.65 * ( 1.0 - f ) );
+        return [ [ v, t, p ], [ q, v, p ], [ p, v, t ], [ p, q, v ], [ t, p, v ], [ v, p, q ] ][sector];
+    }
+
+    /**
+     * @brief Calculate the rotation-averaged orientation patch count (OPCR).
+     *
+     * The OPC is counted at 8 rotations about the camera's forward vector, starting from the orientation the OPC is
+     * counted at, and the counts are averaged. The step between rotations is one orientation bin divided by the
+     * number of rotations, 5.625 degrees with the default 8 orientations.
+     *
+     * @param options {Object} optional, an object containing any of the fields rotations, the number of rotations,
+     * and step, the angle between rotations in degrees (one orientation bin divided by the rotations by default)
+     * @returns {Object} an object containing the opcr, the average count, and rotations, an array of objects
+     * containing the angle and the count at each rotation
+     * */
+    module.Viewer.prototype.opcr = function( options ) {
+        if ( this.meshCache.wrappedVertex === undefined || this.meshCache.wrappedVertex.length === 0 ) {
+            alert( "There is no mesh to calculate the orientation patch count of." );
+            return { opcr: 0, rotations: [] };
+        }
+        options = options || {};
+        var region = measuredRegion( this );
+        return tools.opcr(
+            region.wrappedVertex,
+            region.adjacencyList,
+            region.wrappedNormal,
+            this.cameraCache,
+            this.opcAreaLimit,
+            region.totalArea,
+            { bins: this.orientationBins, rotations: options.rotations, step: options.step }
+        );
+    };
+
+    /**
+     * @brief Calculate the Dirichlet normal energy (DNE) of the whole surface, or of the part on the positive side of
+     * the OPC selection plane while it's shown.
+     *
+     * The DNE is the sum of the energy density times the area of each triangle. The triangles whose energy times
+     * area is above the 99.9th percentile are left out as outliers.
+     *
+     * @param options {Object} optional, an object containing any of the fields percentile, the percentile above
+     * which triangles are left out (99.9 by default, 100 keeps all of them), and excludeBoundary, whether to leave
+     * out the triangles on the boundary of the mesh (false by default)
+     * @returns {Object} an object containing the total DNE, faces, a Float64Array of the energy times area of each
+     * triangle, and excluded, a Uint8Array which is 1 for the triangles left out of the total
+     * */
+    module.Viewer.prototype.dne = function( options ) {
+        if ( this.meshCache.wrappedVertex === undefined || this.meshCache.wrappedVertex.length === 0 ) {
+            alert( "There is no mesh to calculate the Dirichlet normal energy of." );
+            return { total: 0, faces: new Float64Array( 0 ), excluded: new Uint8Array( 0 ) };
+        }
+        var region = measuredRegion( this );
+        return tools.dne(
+            region.wrappedVertex,
+            region.wrappedNormal,
+            region.index,
+            region.adjacencyList,
+            options
         );
     };
 
+    /**
+     * @brief Calculate the relief index (RFI) of the surface, as in Boyer (2008).
+     *
+     * The footprint of the surface is projected on the plane perpendicular to the current view, so the camera should
+     * look at the occlusal side of the crown. While the OPC selection plane is shown, only the part of the surface on
+     * its positive side is measured.
+     *
+     * @param axis {Array} optional, the direction to project the mesh along, instead of the camera's forward vector
+     * @returns {Object} an object containing the rfi, surfaceArea and projectedArea
+     * */
+    module.Viewer.prototype.rfi = function( axis ) {
+        if ( this.meshCache.wrappedVertex === undefined || this.meshCache.wrappedVertex.length === 0 ) {
+            alert( "There is no mesh to calculate the relief index of." );
+            return { rfi: 0, surfaceArea: 0, projectedArea: 0 };
+        }
+        var region = measuredRegion( this );
+        return tools.rfi(
+            region.wrappedVertex,
+            region.index,
+            axis || this.camera.forward()
+        );
+    };
+
+    /**
+     * @brief Show the OPC selection plane. While it's shown, the OPC, area, DNE and RFI are calculated only on the
+     * part of the mesh on its positive side.
+     * */
     module.Viewer.prototype.showOpcSelectionPlane = function() {
         this.showPlane = true;
+        refreshPatches( this );
     };
 
     module.Viewer.prototype.hideOpcSelectionPlane = function() {
         this.showPlane = false;
+        refreshPatches( this );
     };
 
     module.Viewer.prototype.setOpcSelectionPlane = function() {
@@ -877,6 +1328,7 @@ var morphoviewer = ( function( tools ) {
             vec3.transformMat4( vec3.create(), vec3.fromValues(1.0, 0.0, 0.0), this.planeRotationMatrix ),
             vec3.transformMat4( vec3.create(), vec3.fromValues(0.0, 1.0, 0.0), this.planeRotationMatrix)
         );
+        refreshPatches( this );
     };
 
     /*
@@ -895,23 +1347,93 @@ var morphoviewer = ( function( tools ) {
                 normal
             )
         );
+        refreshPatches( this );
     };
     
     module.Viewer.prototype.flipOpcSelectionPlane = function() {
         this.plane.flip();
+        refreshPatches( this );
     }
+
+    /**
+     * @brief Crop the mesh at the OPC selection plane, discarding the part on its negative side.
+     *
+     * The triangles crossing the plane are split where they cross it, and the adjacency, normals, curvature and
+     * orientation are calculated again for the cropped mesh, which can then be exported or measured like a loaded
+     * one. The crop can be undone with undoCrop.
+     * */
+    module.Viewer.prototype.cropAtSelectionPlane = function() {
+        if ( this.meshCache.wrappedVertex === undefined || this.meshCache.wrappedVertex.length === 0 ) {
+            alert( "There is no mesh to crop." );
+            return;
+        }
+        var data = tools.cropMeshData( this.meshCache, selectionPlane( this ) );
+        if ( data === null ) {
+            alert( "No part of the mesh is on the positive side of the OPC selection plane." );
+            return;
+        }
+        this.cropHistory.push( { meshCache: this.meshCache, totalModelArea: this.totalModelArea } );
+        replaceMeshCache( this, data.meshCache, data.totalModelArea );
+    };
+
+    /**
+     * @brief Restore the mesh as it was before the last crop.
+     * @returns {Boolean} false if there was no crop to undo
+     * */
+    module.Viewer.prototype.undoCrop = function() {
+        if ( this.cropHistory.length === 0 ) {
+            return false;
+        }
+        var previous = this.cropHistory.pop();
+        replaceMeshCache( this, previous.meshCache, previous.totalModelArea );
+        return true;
+    };
     
+    /**
+     * @returns {Number} the area of the model, measured like totalModelArea, or of the part on the positive side of
+     * the OPC selection plane while it's shown
+     * */
     module.Viewer.prototype.modelArea = function() {
-        return this.totalModelArea;
+        if ( !this.showPlane || this.meshCache.wrappedVertex === undefined ) {
+            return this.totalModelArea;
+        }
+        return measuredRegion( this ).totalArea;
     };
 
+    /**
+     * @brief Export the current mesh, along with its normals, orientation and curvature, as a PLY file.
+     * @param format {String} "binary" (by default) for binary little endian PLY, or "ascii"
+     * @returns {ArrayBuffer} the contents of the PLY file
+     * */
+    module.Viewer.prototype.exportPLY = function( format ) {
+        return tools.writePLY( this.meshCache, format );
+    };
+
+    //re-export the metrics, for calculating them from a mesh cache without a viewer
+    module.dne = tools.dne;
+    module.rfi = tools.rfi;
+    module.projectedArea = tools.projectedArea;
+
     //re-export the io namespace
     module.io = {};
+    module.io.LoadError     = tools.io.LoadError;
+    module.io.ParseError    = tools.io.ParseError;
+    module.io.SaveError     = tools.io.SaveError;
+    module.io.load          = tools.io.load;
+    module.io.readSource    = tools.io.readSource;
+    module.io.parse         = tools.io.parse;
     module.io.loadFile      = tools.io.loadFile;
     module.io.getFileType   = tools.io.getFileType;
     module.io.loadPLY       = tools.io.loadPLY;
     module.io.loadOBJ       = tools.io.loadOBJ;
     module.io.loadCSV       = tools.io.loadCSV;
+    module.io.writePLY      = tools.writePLY;
+    module.io.writeSTL      = tools.writeSTL;
+    module.io.writeOBJ      = tools.writeOBJ;
+    module.io.save          = tools.io.save;
+    module.io.decompress    = tools.io.decompress;
+    module.io.listZipEntries = tools.io.listZipEntries;
+    module.io.extractZipEntry = tools.io.extractZipEntry;
 
     return module;
 }( morphoviewer ));
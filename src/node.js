@@ -0,0 +1,49 @@
+/**
+ * The Node.js entry point of morphoviewer: the file parsers of file_io.js, the mesh tools of mesh_tools.js,
+ * buildMeshData of loader.js and the Plane of geometry.js, none of which need a DOM or WebGL.
+ *
+ *     var morphoviewer = require( "./src/node.js" );
+ *     var buffer = new Uint8Array( fs.readFileSync( "tooth.ply" ) );
+ *     var data = morphoviewer.buildMeshData( buffer, morphoviewer.io.getFileType( buffer ) );
+ *     console.log( morphoviewer.meshMetrics( data.meshCache ) );
+ *
+ * The sources are browser scripts which share the morphoviewer namespace and their libraries as globals, so they
+ * are run in a context of their own, where those globals live, and only the morphoviewer namespace is exported.
+ * The context is given the typed arrays and errors of the caller, so that the data passed in and out is the same
+ * kind of object on both sides, and instanceof works.
+ * */
+var fs = require( "fs" );
+var path = require( "path" );
+var vm = require( "vm" );
+
+//in the order of the gulpfile. jDataView is a CommonJS module when it finds one, so it is required instead.
+var sources = [
+    "../libs/gl-matrix-min.js",
+    "../libs/delaunay.min.js",
+    "inflate.js",
+    "file_io.js",
+    "mesh_tools.js",
+    "loader.js",
+    "geometry.js"
+];
+
+var shared = [
+    "ArrayBuffer", "DataView", "Int8Array", "Uint8Array", "Int16Array", "Uint16Array", "Int32Array", "Uint32Array",
+    "Float32Array", "Float64Array", "Error", "TypeError", "RangeError", "Promise", "TextDecoder", "TextEncoder",
+    "Blob", "URL", "console", "setTimeout", "clearTimeout"
+];
+
+var context = { jDataView: require( "../libs/jdataview.min.js" ) };
+shared.forEach( function( name ) {
+    if ( typeof global[name] !== "undefined" ) {
+        context[name] = global[name];
+    }
+} );
+vm.createContext( context );
+
+sources.forEach( function( source ) {
+    var filename = path.join( __dirname, source );
+    vm.runInContext( fs.readFileSync( filename, "utf8" ), context, { filename: filename } );
+} );
+
+module.exports = context.morphoviewer;